@@ -0,0 +1,223 @@
+/**
+ * Bundle rules automatically add companion products to the cart when the options selected for the product being
+ * added match a set of conditions, e.g. "Color: Black" and "Size: Medium" adds a jacket.
+ *
+ * Rules are read from `<script type="application/json" data-bundle-rules>` elements. The theme renders one for the
+ * `custom.bundle_rules` shop metafield on every page, and sections can render their own from block settings.
+ *
+ * Added items carry the key of the line that triggered them in the hidden `_bundle_parent` property, so the cart can
+ * show them attached to that line and remove or update them along with it.
+ * @module bundle-rules
+ */
+
+/**
+ * @typedef {Object} BundleRuleCondition
+ * @property {string} option - The option name, matched case-insensitively (e.g. "Color")
+ * @property {string} value - The option value, matched case-insensitively (e.g. "Black")
+ */
+
+/**
+ * @typedef {Object} BundleRule
+ * @property {'all' | 'any'} match - Whether all or any of the conditions need to match
+ * @property {BundleRuleCondition[]} conditions - The option value conditions
+ * @property {string} product - The handle of the product to add
+ * @property {number | null} variant - The variant to add, the first available variant is used when missing
+ * @property {number} quantity - The quantity to add
+ * @property {Record<string, string>} properties - Line item properties for the added item
+ */
+
+/**
+ * @typedef {Object} BundleItem
+ * @property {number} id - The variant ID
+ * @property {number} quantity - The quantity
+ * @property {Record<string, string>} properties - The line item properties
+ */
+
+const BUNDLE_RULES_SELECTOR = 'script[type="application/json"][data-bundle-rules]';
+
+/**
+ * The line item property linking an auto-added item to the line that triggered it.
+ * Properties starting with an underscore are hidden at checkout.
+ */
+export const BUNDLE_PARENT_PROPERTY = '_bundle_parent';
+
+/**
+ * Gets all the bundle rules configured on the current page.
+ * @returns {BundleRule[]} The bundle rules
+ */
+export function getBundleRules() {
+  /** @type {BundleRule[]} */
+  const rules = [];
+
+  for (const script of document.querySelectorAll(BUNDLE_RULES_SELECTOR)) {
+    let data;
+
+    try {
+      data = JSON.parse(script.textContent || 'null');
+    } catch (error) {
+      console.warn('Invalid bundle rules configuration', error);
+      continue;
+    }
+
+    for (const rawRule of Array.isArray(data) ? data : [data]) {
+      const rule = normalizeRule(rawRule);
+      if (rule) rules.push(rule);
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Gets the bundle rules matching a set of selected options.
+ * @param {Record<string, string>} selectedOptions - The selected options, keyed by option name
+ * @returns {BundleRule[]} The matching rules
+ */
+export function getMatchingBundleRules(selectedOptions) {
+  /** @type {Record<string, string>} */
+  const normalizedOptions = {};
+
+  for (const [name, value] of Object.entries(selectedOptions)) {
+    normalizedOptions[normalizeValue(name)] = normalizeValue(value);
+  }
+
+  return getBundleRules().filter((rule) => {
+    const matches = (/** @type {BundleRuleCondition} */ condition) =>
+      normalizedOptions[normalizeValue(condition.option)] === normalizeValue(condition.value);
+
+    return rule.match === 'any' ? rule.conditions.some(matches) : rule.conditions.every(matches);
+  });
+}
+
+/**
+ * Resolves the cart items that should be added alongside a product with the given selected options.
+ * Rules pointing to products that can't be loaded or have no available variant are skipped.
+ * @param {Record<string, string>} selectedOptions - The selected options, keyed by option name
+ * @param {string} [parentKey] - The key of the cart line the items are added for, stored in `_bundle_parent`
+ * @returns {Promise<BundleItem[]>} The items to add to the cart
+ */
+export async function resolveBundleItems(selectedOptions, parentKey) {
+  const rules = getMatchingBundleRules(selectedOptions);
+
+  const items = await Promise.all(
+    rules.map(async (rule) => {
+      const id = rule.variant ?? (await fetchFirstAvailableVariantId(rule.product));
+
+      if (!id) {
+        console.warn(`Bundle product "${rule.product}" has no available variant`);
+        return null;
+      }
+
+      const properties = parentKey ? { ...rule.properties, [BUNDLE_PARENT_PROPERTY]: parentKey } : rule.properties;
+
+      return { id, quantity: rule.quantity, properties };
+    })
+  );
+
+  return /** @type {BundleItem[]} */ (items.filter(Boolean));
+}
+
+/**
+ * Builds a selected options map from a list of option names and the matching variant option values.
+ * @param {string[]} optionNames - The product option names, e.g. `["Color", "Size"]`
+ * @param {string[]} optionValues - The variant option values, e.g. `["Black", "Medium"]`
+ * @returns {Record<string, string>} The selected options, keyed by option name
+ */
+export function toSelectedOptions(optionNames, optionValues) {
+  /** @type {Record<string, string>} */
+  const selectedOptions = {};
+
+  optionNames.forEach((name, index) => {
+    const value = optionValues[index];
+    if (value != null) selectedOptions[name] = value;
+  });
+
+  return selectedOptions;
+}
+
+/**
+ * Fetches the first available variant ID of a product.
+ * @param {string} handle - The product handle
+ * @returns {Promise<number | null>} The variant ID
+ */
+async function fetchFirstAvailableVariantId(handle) {
+  try {
+    const response = await fetch(`/products/${handle}.js`);
+    if (!response.ok) throw new Error(`HTTP error ${response.status}`);
+
+    /** @type {{ variants: Array<{ id: number, available: boolean }> }} */
+    const product = await response.json();
+    const variant = product.variants.find((variant) => variant.available);
+
+    return variant?.id ?? null;
+  } catch (error) {
+    console.warn(`Failed to load bundle product "${handle}"`, error);
+    return null;
+  }
+}
+
+/**
+ * Normalizes a rule from the JSON configuration.
+ * Conditions and properties can either be structured data (metafields) or "Name: value" lines (block settings).
+ * @param {any} rawRule - The rule as found in the configuration
+ * @returns {BundleRule | null} The normalized rule, or null if it is incomplete
+ */
+function normalizeRule(rawRule) {
+  if (!rawRule || typeof rawRule !== 'object') return null;
+
+  const product = typeof rawRule.product === 'string' ? rawRule.product.trim() : '';
+
+  const conditions = (typeof rawRule.conditions === 'string'
+    ? parseLines(rawRule.conditions).map(([option, value]) => ({ option, value }))
+    : Array.isArray(rawRule.conditions)
+    ? rawRule.conditions
+    : []
+  ).filter((/** @type {any} */ condition) => condition?.option && condition.value != null);
+
+  if (!product || conditions.length === 0) return null;
+
+  const properties =
+    typeof rawRule.properties === 'string'
+      ? Object.fromEntries(parseLines(rawRule.properties))
+      : { ...rawRule.properties };
+
+  return {
+    match: rawRule.match === 'any' ? 'any' : 'all',
+    conditions,
+    product,
+    variant: Number(rawRule.variant) || null,
+    quantity: Math.max(1, parseInt(rawRule.quantity, 10) || 1),
+    properties,
+  };
+}
+
+/**
+ * Parses "Name: value" lines into name/value pairs.
+ * @param {string} text - The text to parse
+ * @returns {Array<[string, string]>} The name/value pairs
+ */
+function parseLines(text) {
+  /** @type {Array<[string, string]>} */
+  const pairs = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    const separatorIndex = line.indexOf(':');
+    if (separatorIndex === -1) continue;
+
+    const name = line.slice(0, separatorIndex).trim();
+    const value = line.slice(separatorIndex + 1).trim();
+
+    if (name && value) pairs.push([name, value]);
+  }
+
+  return pairs;
+}
+
+/**
+ * Normalizes an option name or value for comparison.
+ * @param {string} value - The value to normalize
+ * @returns {string} The normalized value
+ */
+function normalizeValue(value) {
+  return String(value).trim().toLowerCase();
+}
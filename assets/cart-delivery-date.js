@@ -0,0 +1,581 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { cartStore } from '@theme/cart';
+import { parseIntOrDefault } from '@theme/utilities';
+
+/**
+ * The cart attributes holding the delivery date, as `YYYY-MM-DD`, and the time slot
+ */
+const DATE_ATTRIBUTE = 'Delivery date';
+const TIME_ATTRIBUTE = 'Delivery time';
+
+/**
+ * The weekday names of the delivery date settings, from Sunday
+ */
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The bookable dates. Dates are UTC midnights of the days in the store time zone.
+ * @typedef {Object} DeliveryRules
+ * @property {Date} today - The current day in the store time zone
+ * @property {number} minutes - The current time in the store time zone, in minutes since midnight
+ * @property {Date} earliest - The first bookable day
+ * @property {Date} latest - The last bookable day
+ * @property {Set<number>} weekdays - The weekdays with deliveries, from 0 for Sunday
+ * @property {Set<string>} blackoutDates - The dates without deliveries
+ */
+
+/**
+ * A custom element that saves a delivery date and time slot to the cart attributes, like the cart note, and blocks
+ * checkout when a required date is missing or no longer bookable.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLDetailsElement} details - The disclosure of the picker.
+ * @property {HTMLButtonElement} previousMonth - The button showing the previous month.
+ * @property {HTMLButtonElement} nextMonth - The button showing the next month.
+ * @property {HTMLElement} monthLabel - The month shown.
+ * @property {HTMLTableRowElement} weekdays - The weekday names.
+ * @property {HTMLTableSectionElement} days - The days of the month shown.
+ * @property {HTMLSelectElement} [timeSlot] - The time slots, if any are set.
+ * @property {HTMLElement} selection - The chosen date and time.
+ * @property {HTMLButtonElement} [clearButton] - The button clearing the date, unless a date is required.
+ * @property {HTMLElement} error - The error message.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartDeliveryDate extends Component {
+  requiredRefs = ['details', 'previousMonth', 'nextMonth', 'monthLabel', 'weekdays', 'days', 'selection', 'error'];
+
+  /**
+   * The chosen date, as `YYYY-MM-DD`
+   * @type {string}
+   */
+  #date = '';
+
+  /**
+   * The chosen time slot
+   * @type {string}
+   */
+  #timeSlot = '';
+
+  /**
+   * The first day of the month shown
+   * @type {Date}
+   */
+  #month = new Date(0);
+
+  /**
+   * The day that's focusable in the calendar
+   * @type {Date}
+   */
+  #focusedDay = new Date(0);
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // A choice that wasn't saved yet wins over the one rendered with the cart
+    const { attributes } = cartStore.pendingDetails;
+    this.#date = attributes?.[DATE_ATTRIBUTE] ?? this.dataset.date ?? '';
+    this.#timeSlot = attributes?.[TIME_ATTRIBUTE] ?? this.dataset.timeSlot ?? '';
+
+    const rules = this.#rules;
+    this.#focusedDay = parseDate(this.#date) ?? rules.earliest;
+    this.#month = startOfMonth(this.#focusedDay);
+
+    this.#renderWeekdays();
+    this.#render(rules);
+
+    // A date restored from the cart may not be bookable anymore
+    if (this.#date) this.#showError(this.#getProblem(rules));
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.addEventListener(ThemeEvents.cartDetailsSave, this.#handleDetailsSave);
+    document.addEventListener('submit', this.#handleSubmit, true);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.removeEventListener(ThemeEvents.cartDetailsSave, this.#handleDetailsSave);
+    document.removeEventListener('submit', this.#handleSubmit, true);
+  }
+
+  /**
+   * Shows the previous month.
+   */
+  showPreviousMonth() {
+    this.#showMonth(addMonths(this.#month, -1));
+  }
+
+  /**
+   * Shows the next month.
+   */
+  showNextMonth() {
+    this.#showMonth(addMonths(this.#month, 1));
+  }
+
+  /**
+   * Chooses the date of a clicked day.
+   * @param {MouseEvent} event - The click event.
+   */
+  selectDate(event) {
+    if (!(event.target instanceof Element)) return;
+
+    const day = event.target.closest('button[data-date]');
+    if (!(day instanceof HTMLButtonElement) || day.getAttribute('aria-disabled') === 'true') return;
+
+    this.#focusedDay = parseDate(day.dataset.date ?? '') ?? this.#focusedDay;
+    this.#date = day.dataset.date ?? '';
+    this.#update();
+  }
+
+  /**
+   * Chooses a time slot.
+   */
+  selectTimeSlot() {
+    this.#timeSlot = this.refs.timeSlot?.value ?? '';
+    this.#update();
+  }
+
+  /**
+   * Clears the date and time slot.
+   */
+  clearDate() {
+    this.#date = '';
+    this.#timeSlot = '';
+    this.#update();
+  }
+
+  /**
+   * Moves the focus between the days of the calendar with the arrow, Home, End, Page Up and Page Down keys.
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  handleGridKeydown(event) {
+    if (!(event.target instanceof HTMLElement) || !event.target.dataset.date) return;
+
+    /** @type {Record<string, () => Date>} */
+    const moves = {
+      ArrowLeft: () => addDays(this.#focusedDay, -1),
+      ArrowRight: () => addDays(this.#focusedDay, 1),
+      ArrowUp: () => addDays(this.#focusedDay, -7),
+      ArrowDown: () => addDays(this.#focusedDay, 7),
+      Home: () => addDays(this.#focusedDay, -this.#getColumn(this.#focusedDay)),
+      End: () => addDays(this.#focusedDay, 6 - this.#getColumn(this.#focusedDay)),
+      PageUp: () => addMonths(this.#focusedDay, -1),
+      PageDown: () => addMonths(this.#focusedDay, 1),
+    };
+
+    const move = moves[event.key];
+    if (!move) return;
+
+    event.preventDefault();
+
+    const rules = this.#rules;
+    const day = move();
+    if (day < startOfMonth(rules.earliest) || day > rules.latest) return;
+
+    this.#focusedDay = day;
+    this.#month = startOfMonth(day);
+    this.#render(rules);
+    /** @type {HTMLElement | null} */ (this.refs.days.querySelector(`[data-date="${formatDate(day)}"]`))?.focus();
+  }
+
+  /**
+   * Adopts the attributes of a cart changed elsewhere, e.g. in another tab.
+   * @param {import('./events').CartUpdateEvent} event - The cart update event.
+   */
+  #handleCartUpdate = (event) => {
+    const cart = /** @type {import('./cart').Cart | undefined} */ (event.detail.resource);
+    if (!cart?.attributes || cartStore.pendingDetails.attributes?.[DATE_ATTRIBUTE] !== undefined) return;
+
+    const date = cart.attributes[DATE_ATTRIBUTE] ?? '';
+    const timeSlot = cart.attributes[TIME_ATTRIBUTE] ?? '';
+    if (date === this.#date && timeSlot === this.#timeSlot) return;
+
+    this.#date = date;
+    this.#timeSlot = timeSlot;
+    this.#render(this.#rules);
+  };
+
+  /**
+   * Hides the save error once the choice is saved, e.g. when the browser is back online.
+   * @param {import('./events').CartDetailsSaveEvent} event - The save event.
+   */
+  #handleDetailsSave = (event) => {
+    const { status, details } = event.detail;
+    if (status !== 'saved' || details.attributes?.[DATE_ATTRIBUTE] === undefined) return;
+
+    if (!this.#getProblem(this.#rules)) this.refs.error.hidden = true;
+  };
+
+  /**
+   * Blocks checkout from the cart form of the section when the date is missing or not bookable.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  #handleSubmit = (event) => {
+    const { submitter } = event;
+    if (!(event.target instanceof HTMLFormElement) || event.target.id !== 'cart-form') return;
+    if (!(submitter instanceof HTMLElement) || submitter.getAttribute('name') !== 'checkout') return;
+    if (submitter.closest('.shopify-section') !== this.closest('.shopify-section')) return;
+
+    const problem = this.#getProblem(this.#rules);
+    if (!problem) return;
+
+    event.preventDefault();
+    this.refs.details.open = true;
+    this.#showError(problem);
+    this.refs.error.focus();
+  };
+
+  /**
+   * Shows a month, keeping the focusable day within it.
+   * @param {Date} month - The first day of the month.
+   */
+  #showMonth(month) {
+    const rules = this.#rules;
+    const lastDay = addDays(addMonths(month, 1), -1);
+    const firstFocusableDay = Math.max(month.getTime(), rules.earliest.getTime());
+    const lastFocusableDay = Math.min(lastDay.getTime(), rules.latest.getTime());
+
+    this.#month = month;
+    this.#focusedDay = new Date(Math.min(firstFocusableDay, lastFocusableDay));
+    this.#render(rules);
+  }
+
+  /**
+   * Renders the choice and saves it to the cart attributes.
+   */
+  async #update() {
+    const rules = this.#rules;
+    const problem = this.#getProblem(rules);
+
+    this.#render(rules);
+    if (problem === 'invalid') this.#showError(problem);
+
+    // The choice is kept locally until it's saved, and sent again when the browser is back online
+    const saved = await cartStore.saveDetails({
+      attributes: { [DATE_ATTRIBUTE]: this.#date, [TIME_ATTRIBUTE]: this.#date ? this.#timeSlot : '' },
+    });
+
+    if (!saved) this.#showError('error');
+  }
+
+  /**
+   * Renders the calendar, the time slots and the choice.
+   * @param {DeliveryRules} rules - The bookable dates.
+   */
+  #render(rules) {
+    const { previousMonth, nextMonth, monthLabel, selection, clearButton, error } = this.refs;
+    const locale = document.documentElement.lang || undefined;
+    const lastDay = addDays(addMonths(this.#month, 1), -1);
+
+    monthLabel.textContent = new Intl.DateTimeFormat(locale, {
+      month: 'long',
+      year: 'numeric',
+      timeZone: 'UTC',
+    }).format(this.#month);
+    previousMonth.disabled = this.#month <= startOfMonth(rules.earliest);
+    nextMonth.disabled = lastDay >= rules.latest;
+
+    this.#renderDays(rules);
+    this.#renderTimeSlots(rules);
+
+    const date = parseDate(this.#date);
+    const dateLabel = date
+      ? new Intl.DateTimeFormat(locale, { dateStyle: 'full', timeZone: 'UTC' }).format(date)
+      : '';
+    const choice = [dateLabel, this.#timeSlot].filter(Boolean).join(', ');
+
+    selection.textContent = date ? (this.dataset.selectionMessage ?? '').replace('[date]', choice) : '';
+    if (clearButton) clearButton.hidden = !date;
+    if (!this.#getProblem(rules)) error.hidden = true;
+  }
+
+  /**
+   * Renders the weekday names of the calendar header.
+   */
+  #renderWeekdays() {
+    const locale = document.documentElement.lang || undefined;
+    const long = new Intl.DateTimeFormat(locale, { weekday: 'long', timeZone: 'UTC' });
+    const short = new Intl.DateTimeFormat(locale, { weekday: 'narrow', timeZone: 'UTC' });
+    // January 1st, 2023 was a Sunday
+    const sunday = Date.UTC(2023, 0, 1);
+
+    const cells = Array.from({ length: 7 }, (_, column) => {
+      const day = new Date(sunday + ((column + this.#firstWeekday) % 7) * DAY_IN_MS);
+      const cell = document.createElement('th');
+      cell.scope = 'col';
+      cell.abbr = long.format(day);
+      cell.textContent = short.format(day);
+      return cell;
+    });
+
+    this.refs.weekdays.replaceChildren(...cells);
+  }
+
+  /**
+   * Renders the days of the month shown, with the unbookable days disabled.
+   * @param {DeliveryRules} rules - The bookable dates.
+   */
+  #renderDays(rules) {
+    const locale = document.documentElement.lang || undefined;
+    const format = new Intl.DateTimeFormat(locale, { dateStyle: 'full', timeZone: 'UTC' });
+    const firstColumn = this.#getColumn(this.#month);
+    const dayCount = addDays(addMonths(this.#month, 1), -1).getUTCDate();
+    const rows = [];
+
+    /** @type {HTMLTableRowElement | null} */
+    let row = null;
+
+    for (let index = 0; index < firstColumn + dayCount; index++) {
+      if (index % 7 === 0) {
+        row = document.createElement('tr');
+        rows.push(row);
+      }
+
+      const cell = document.createElement('td');
+      row?.append(cell);
+      if (index < firstColumn) continue;
+
+      const day = addDays(this.#month, index - firstColumn);
+      const date = formatDate(day);
+      const button = document.createElement('button');
+
+      button.type = 'button';
+      button.className = 'button button-unstyled delivery-date__day';
+      button.dataset.date = date;
+      button.textContent = day.getUTCDate().toString();
+      button.setAttribute('aria-label', format.format(day));
+      button.tabIndex = day.getTime() === this.#focusedDay.getTime() ? 0 : -1;
+      if (!isBookable(day, rules)) button.setAttribute('aria-disabled', 'true');
+
+      cell.setAttribute('role', 'gridcell');
+      cell.setAttribute('aria-selected', (date === this.#date).toString());
+      cell.append(button);
+    }
+
+    this.refs.days.replaceChildren(...rows);
+  }
+
+  /**
+   * Disables the time slots that already started, when the chosen date is today.
+   * @param {DeliveryRules} rules - The bookable dates.
+   */
+  #renderTimeSlots(rules) {
+    const { timeSlot } = this.refs;
+    if (!timeSlot) return;
+
+    const isToday = this.#date === formatDate(rules.today);
+
+    for (const option of timeSlot.options) {
+      const start = parseTime(option.value);
+      option.disabled = Boolean(option.value) && isToday && start !== null && start <= rules.minutes;
+    }
+
+    timeSlot.value = this.#timeSlot;
+  }
+
+  /**
+   * Gets what prevents checking out with the choice, if anything.
+   * @param {DeliveryRules} rules - The bookable dates.
+   * @returns {'missing' | 'invalid' | 'timeSlot' | null} The problem.
+   */
+  #getProblem(rules) {
+    const { timeSlot } = this.refs;
+    const date = parseDate(this.#date);
+
+    if (!date && this.#date) return 'invalid';
+    if (!date) return this.dataset.required === undefined ? null : 'missing';
+    if (!isBookable(date, rules)) return 'invalid';
+    if (!timeSlot || timeSlot.options.length <= 1) return null;
+
+    const option = Array.from(timeSlot.options).find(({ value }) => value && value === this.#timeSlot);
+    if (!option) return this.#timeSlot ? 'invalid' : 'timeSlot';
+
+    return option.disabled ? 'invalid' : null;
+  }
+
+  /**
+   * Shows an error message.
+   * @param {'missing' | 'invalid' | 'timeSlot' | 'error' | null} problem - The problem.
+   */
+  #showError(problem) {
+    if (!problem) return;
+
+    const { error } = this.refs;
+    error.textContent = this.dataset[`${problem}Message`] ?? '';
+    error.hidden = false;
+  }
+
+  /**
+   * Gets the column of a day in the calendar.
+   * @param {Date} day - The day.
+   * @returns {number} The column, from 0.
+   */
+  #getColumn(day) {
+    return (day.getUTCDay() - this.#firstWeekday + 7) % 7;
+  }
+
+  /**
+   * Gets the first day of the week of the page language, from 0 for Sunday.
+   * @returns {number} The first day of the week.
+   */
+  get #firstWeekday() {
+    try {
+      const locale = /** @type {Intl.Locale & { weekInfo?: { firstDay: number } }} */ (
+        new Intl.Locale(document.documentElement.lang || navigator.language)
+      );
+      return (locale.weekInfo?.firstDay ?? 7) % 7;
+    } catch (_) {
+      return 0;
+    }
+  }
+
+  /**
+   * Gets the bookable dates from the settings, at the current time of the store.
+   * @returns {DeliveryRules} The bookable dates.
+   */
+  get #rules() {
+    const { leadDays, maxDays, deliveryDays, cutoff, dayCutoffs, blackoutDates, timezoneOffset } = this.dataset;
+    const now = new Date(Date.now() + parseTimezoneOffset(timezoneOffset) * 60 * 1000);
+    const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const minutes = now.getUTCHours() * 60 + now.getUTCMinutes();
+
+    // Orders placed after the cutoff time of the day count as placed the next day
+    const cutoffs = new Map(
+      splitList(dayCutoffs).map((rule) => {
+        const [weekday = '', time = ''] = rule.split(/\s+/);
+        return [WEEKDAYS.indexOf(weekday.slice(0, 3).toLowerCase()), parseTime(time)];
+      })
+    );
+    const todayCutoff = cutoffs.get(today.getUTCDay()) ?? parseTime(cutoff ?? '');
+    const orderDay = todayCutoff !== null && minutes >= todayCutoff ? addDays(today, 1) : today;
+
+    const weekdays = new Set(
+      splitList(deliveryDays)
+        .map((weekday) => WEEKDAYS.indexOf(weekday.slice(0, 3).toLowerCase()))
+        .filter((weekday) => weekday !== -1)
+    );
+
+    return {
+      today,
+      minutes,
+      earliest: addDays(orderDay, parseIntOrDefault(leadDays, 0)),
+      latest: addDays(today, parseIntOrDefault(maxDays, 30)),
+      // Without delivery days set, every day has deliveries
+      weekdays: weekdays.size > 0 ? weekdays : new Set([0, 1, 2, 3, 4, 5, 6]),
+      blackoutDates: new Set(splitList(blackoutDates).filter((date) => parseDate(date))),
+    };
+  }
+}
+
+/**
+ * Checks whether a day can be booked.
+ * @param {Date} day - The day.
+ * @param {DeliveryRules} rules - The bookable dates.
+ * @returns {boolean} Whether the day can be booked.
+ */
+function isBookable(day, rules) {
+  return (
+    day >= rules.earliest &&
+    day <= rules.latest &&
+    rules.weekdays.has(day.getUTCDay()) &&
+    !rules.blackoutDates.has(formatDate(day))
+  );
+}
+
+/**
+ * Parses a `YYYY-MM-DD` date.
+ * @param {string} value - The date.
+ * @returns {Date | null} The UTC midnight of the date, or null if it isn't a valid date.
+ */
+function parseDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || formatDate(date) !== value ? null : date;
+}
+
+/**
+ * Formats a date as `YYYY-MM-DD`.
+ * @param {Date} date - The UTC midnight of the date.
+ * @returns {string} The date.
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parses the first `HH:MM` time of a text, e.g. of a time slot.
+ * @param {string} value - The text.
+ * @returns {number | null} The time in minutes since midnight, or null if there's no time.
+ */
+function parseTime(value) {
+  const match = /(\d{1,2})[:.h](\d{2})/.exec(value);
+  if (!match) return null;
+
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Parses a time zone offset like `-0500`.
+ * @param {string | undefined} value - The offset.
+ * @returns {number} The offset in minutes, the one of the browser if it can't be parsed.
+ */
+function parseTimezoneOffset(value) {
+  const match = /^([+-])(\d{2})(\d{2})$/.exec(value ?? '');
+  if (!match) return -new Date().getTimezoneOffset();
+
+  return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+}
+
+/**
+ * Splits a setting listing values by line or comma.
+ * @param {string | undefined} value - The setting.
+ * @returns {string[]} The values.
+ */
+function splitList(value) {
+  return (value ?? '')
+    .split(/[\n,]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Adds days to a date.
+ * @param {Date} date - The date.
+ * @param {number} days - The number of days, negative to go back.
+ * @returns {Date} The new date.
+ */
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_IN_MS);
+}
+
+/**
+ * Adds months to a date, keeping the day within the month.
+ * @param {Date} date - The date.
+ * @param {number} months - The number of months, negative to go back.
+ * @returns {Date} The new date.
+ */
+function addMonths(date, months) {
+  const month = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 0)).getUTCDate();
+
+  return new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth(), Math.min(date.getUTCDate(), lastDay)));
+}
+
+/**
+ * Gets the first day of the month of a date.
+ * @param {Date} date - The date.
+ * @returns {Date} The first day of the month.
+ */
+function startOfMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+if (!customElements.get('cart-delivery-date')) {
+  customElements.define('cart-delivery-date', CartDeliveryDate);
+}
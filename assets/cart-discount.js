@@ -1,44 +1,45 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
 import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
+import { cartStore } from '@theme/cart';
+import { convertToMinorUnits, formatMoney } from '@theme/money-formatting';
+
+/**
+ * The reasons a discount code isn't applied, matching the `data-error-*` messages of the component
+ * @typedef {'discountCode' | 'expired' | 'minimumNotMet' | 'alreadyApplied' | 'notCombinable' | 'shipping'}
+ * DiscountErrorReason
+ */
+
+/**
+ * The requirements of a discount code, set in the `custom.discount_rules` shop metafield. The cart API only tells
+ * whether a code applies, so they give the reason it doesn't.
+ * @typedef {Object} DiscountRule
+ * @property {string} [ends_at] - When the code expires, as an ISO 8601 date
+ * @property {number} [minimum_subtotal] - The minimum cart subtotal, in the store currency
+ */
 
 /**
  * A custom element that applies a discount to the cart.
  *
  * @typedef {Object} CartDiscountComponentRefs
  * @property {HTMLElement} cartDiscountError - The error element.
- * @property {HTMLElement} cartDiscountErrorDiscountCode - The discount code error element.
- * @property {HTMLElement} cartDiscountErrorShipping - The shipping error element.
+ * @property {HTMLElement} cartDiscountErrorText - The error messages.
+ * @property {HTMLUListElement} cartDiscountCodes - The discount code pills.
  */
 
 /**
  * @extends {Component<CartDiscountComponentRefs>}
  */
 class CartDiscount extends Component {
-  requiredRefs = ['cartDiscountError', 'cartDiscountErrorDiscountCode', 'cartDiscountErrorShipping'];
-
-  /** @type {AbortController | null} */
-  #activeFetch = null;
-
-  #createAbortController() {
-    if (this.#activeFetch) {
-      this.#activeFetch.abort();
-    }
-
-    const abortController = new AbortController();
-    this.#activeFetch = abortController;
-    return abortController;
-  }
+  requiredRefs = ['cartDiscountError', 'cartDiscountErrorText', 'cartDiscountCodes'];
 
   /**
-   * Handles updates to the cart note.
+   * Applies the discount codes of the form, which can be several comma-separated codes. Each code shows as a pending
+   * pill until the cart confirms it, and the codes that aren't applied get an error with the reason.
    * @param {SubmitEvent} event - The submit event on our form.
    */
   applyDiscount = async (event) => {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
-
     event.preventDefault();
     event.stopPropagation();
 
@@ -46,73 +47,71 @@ class CartDiscount extends Component {
     if (!(form instanceof HTMLFormElement)) return;
 
     const discountCode = form.querySelector('input[name="discount"]');
-    if (!(discountCode instanceof HTMLInputElement) || typeof this.dataset.sectionId !== 'string') return;
+    const { sectionId } = this.dataset;
+    if (!(discountCode instanceof HTMLInputElement) || typeof sectionId !== 'string') return;
+
+    const existingDiscounts = this.#existingDiscounts();
+    const { codes, appliedCodes } = parseDiscountCodes(discountCode.value, existingDiscounts);
 
-    const discountCodeValue = discountCode.value;
+    /** @type {Map<string, DiscountErrorReason>} */
+    const errors = new Map(appliedCodes.map((code) => [code, 'alreadyApplied']));
+
+    this.#hideErrors();
+    if (codes.length === 0) {
+      this.#showErrors(errors);
+      return;
+    }
 
-    const abortController = this.#createAbortController();
+    const pendingPills = codes.map((code) => this.#addPendingPill(code));
 
     try {
-      const existingDiscounts = this.#existingDiscounts();
-      if (existingDiscounts.includes(discountCodeValue)) return;
-
-      cartDiscountError.classList.add('hidden');
-      cartDiscountErrorDiscountCode.classList.add('hidden');
-      cartDiscountErrorShipping.classList.add('hidden');
-
-      const config = fetchConfig('json', {
-        body: JSON.stringify({
-          discount: [...existingDiscounts, discountCodeValue].join(','),
-          sections: [this.dataset.sectionId],
-        }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
-
-      const data = await response.json();
-
-      if (
-        data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
-          return discount.code === discountCodeValue && discount.applicable === false;
-        })
-      ) {
-        discountCode.value = '';
-        this.#handleDiscountError('discount_code');
-        return;
+      let { data, sections } = await cartStore.update(
+        { discount: [...existingDiscounts, ...codes].join(',') },
+        { sections: [sectionId], silent: true }
+      );
+
+      const applicable = getApplicableCodes(data.discount_codes);
+      let newCodes = codes.filter((code) => applicable.has(code.toLowerCase()));
+      codes
+        .filter((code) => !newCodes.includes(code))
+        .forEach((code) => errors.set(code, this.#getErrorReason(code, data.items_subtotal_price)));
+
+      // A new code that can't be combined with the applied ones makes them inapplicable, so it's removed again
+      if (newCodes.length > 0 && existingDiscounts.some((code) => !applicable.has(code.toLowerCase()))) {
+        newCodes.forEach((code) => errors.set(code, 'notCombinable'));
+        newCodes = [];
+
+        ({ data, sections } = await cartStore.update(
+          { discount: existingDiscounts.join(',') },
+          { sections: [sectionId], silent: true }
+        ));
       }
 
-      const newHtml = data.sections[this.dataset.sectionId];
-      const parsedHtml = new DOMParser().parseFromString(newHtml, 'text/html');
-      const section = parsedHtml.getElementById(`shopify-section-${this.dataset.sectionId}`);
-      const discountCodes = section?.querySelectorAll('.cart-discount__pill') || [];
-      if (section) {
-        const codes = Array.from(discountCodes)
-          .map((element) => (element instanceof HTMLLIElement ? element.dataset.discountCode : null))
-          .filter(Boolean);
-        // Before morphing, we need to check if the shipping discount is applicable in the UI
-        // we check the liquid logic compared to the cart payload to assess whether we leveraged
-        // a valid shipping discount code.
-        if (
-          codes.length === existingDiscounts.length &&
-          codes.every((/** @type {string} */ code) => existingDiscounts.includes(code)) &&
-          data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
-            return discount.code === discountCodeValue && discount.applicable === true;
-          })
-        ) {
-          this.#handleDiscountError('shipping');
-          discountCode.value = '';
-          return;
-        }
+      // Applicable shipping discounts don't show in the cart until the shipping address is known
+      const renderedCodes = getRenderedCodes(sections[sectionId], sectionId);
+      if (renderedCodes) {
+        newCodes
+          .filter((code) => !renderedCodes.has(code.toLowerCase()))
+          .forEach((code) => errors.set(code, 'shipping'));
       }
 
-      document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, newHtml);
+      document.dispatchEvent(new DiscountUpdateEvent(data, this.id, { appliedCodes: newCodes }));
+
+      const sectionHTML = sections[sectionId];
+      if (sectionHTML) morphSection(sectionId, sectionHTML);
+
+      // The codes that weren't applied stay in the field to be corrected
+      const input = this.querySelector('input[name="discount"]');
+      if (input instanceof HTMLInputElement) {
+        input.value = codes.filter((code) => errors.has(code) && errors.get(code) !== 'shipping').join(', ');
+      }
+
+      this.#showErrors(errors);
     } catch (error) {
+      console.error(error);
+      this.#showMessages([this.dataset.errorRequest ?? '']);
     } finally {
-      this.#activeFetch = null;
+      pendingPills.forEach((pill) => pill.remove());
       cartPerformance.measureFromEvent('discount-update:user-action', event);
     }
   };
@@ -125,11 +124,13 @@ class CartDiscount extends Component {
     event.preventDefault();
     event.stopPropagation();
 
+    const { sectionId } = this.dataset;
+
     if (
       (event instanceof KeyboardEvent && event.key !== 'Enter') ||
       !(event instanceof MouseEvent) ||
       !(event.target instanceof HTMLElement) ||
-      typeof this.dataset.sectionId !== 'string'
+      typeof sectionId !== 'string'
     ) {
       return;
     }
@@ -145,39 +146,139 @@ class CartDiscount extends Component {
     if (index === -1) return;
 
     existingDiscounts.splice(index, 1);
-
-    const abortController = this.#createAbortController();
+    this.#hideErrors();
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
+      const { data, sections } = await cartStore.update(
+        { discount: existingDiscounts.join(',') },
+        { sections: [sectionId], silent: true }
+      );
 
-      const data = await response.json();
+      document.dispatchEvent(new DiscountUpdateEvent(data, this.id, { removedCodes: [discountCode] }));
 
-      document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
+      const sectionHTML = sections[sectionId];
+      if (sectionHTML) morphSection(sectionId, sectionHTML);
     } catch (error) {
-    } finally {
-      this.#activeFetch = null;
+      console.error(error);
+      this.#showMessages([this.dataset.errorRequest ?? '']);
     }
   };
 
   /**
-   * Handles the discount error.
-   *
-   * @param {'discount_code' | 'shipping'} type - The type of discount error.
+   * Hides the discount errors.
    */
-  #handleDiscountError(type) {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
-    const target = type === 'discount_code' ? cartDiscountErrorDiscountCode : cartDiscountErrorShipping;
-    cartDiscountError.classList.remove('hidden');
-    target.classList.remove('hidden');
+  #hideErrors() {
+    this.refs.cartDiscountError.classList.add('hidden');
+    this.refs.cartDiscountErrorText.textContent = '';
+  }
+
+  /**
+   * Shows the discount errors, one line per code.
+   * @param {Map<string, DiscountErrorReason>} errors - The reasons of the codes that weren't applied.
+   */
+  #showErrors(errors) {
+    if (errors.size === 0) return;
+
+    const messages = Array.from(errors, ([code, reason]) => {
+      const message = this.dataset[`error${reason.charAt(0).toUpperCase()}${reason.slice(1)}`] ?? '';
+      return message.replace('[code]', code).replace('[amount]', this.#formatMinimum(code));
+    });
+
+    this.#showMessages(messages);
+  }
+
+  /**
+   * Shows error messages, one per line.
+   * @param {string[]} messages - The messages.
+   */
+  #showMessages(messages) {
+    this.refs.cartDiscountErrorText.textContent = [...new Set(messages)].join('\n');
+    this.refs.cartDiscountError.classList.remove('hidden');
+  }
+
+  /**
+   * Gets why a code doesn't apply, from its requirements. Codes without requirements get the generic reason.
+   * @param {string} code - The discount code.
+   * @param {number | undefined} subtotal - The cart subtotal, in minor units of the cart currency.
+   * @returns {DiscountErrorReason} The reason.
+   */
+  #getErrorReason(code, subtotal) {
+    const rule = this.#getRule(code);
+    const endsAt = Date.parse(rule?.ends_at ?? '');
+
+    if (endsAt < Date.now()) return 'expired';
+    if (subtotal !== undefined && subtotal < this.#getMinimum(code)) return 'minimumNotMet';
+    return 'discountCode';
+  }
+
+  /**
+   * Formats the minimum cart subtotal of a code.
+   * @param {string} code - The discount code.
+   * @returns {string} The formatted minimum, empty if the code has none.
+   */
+  #formatMinimum(code) {
+    const minimum = this.#getMinimum(code);
+    const { moneyFormat = '{{amount}}', currency = '' } = this.dataset;
+
+    return minimum > 0 ? formatMoney(minimum, moneyFormat, currency) : '';
+  }
+
+  /**
+   * Gets the minimum cart subtotal of a code, converted to the cart currency.
+   * @param {string} code - The discount code.
+   * @returns {number} The minimum, in minor units, 0 if the code has none.
+   */
+  #getMinimum(code) {
+    const minimum = this.#getRule(code)?.minimum_subtotal ?? 0;
+    const rate = parseFloat(window.Shopify?.currency?.rate ?? '1') || 1;
+
+    return convertToMinorUnits(minimum * rate, this.dataset.currency ?? '');
+  }
+
+  /**
+   * Gets the requirements of a code. Codes aren't case sensitive.
+   * @param {string} code - The discount code.
+   * @returns {DiscountRule | undefined} The requirements, if they're set.
+   */
+  #getRule(code) {
+    const rules = this.#rules;
+    const key = Object.keys(rules).find((name) => name.toLowerCase() === code.toLowerCase());
+
+    return key ? rules[key] : undefined;
+  }
+
+  /**
+   * The requirements of the discount codes, by code.
+   * @returns {Record<string, DiscountRule>}
+   */
+  get #rules() {
+    try {
+      const rules = JSON.parse(this.dataset.discountRules ?? '{}');
+      return rules && typeof rules === 'object' ? rules : {};
+    } catch (_) {
+      return {};
+    }
+  }
+
+  /**
+   * Adds the pill of a code being applied.
+   * @param {string} code - The discount code.
+   * @returns {HTMLLIElement} The pill, removed once the cart responds.
+   */
+  #addPendingPill(code) {
+    const pill = document.createElement('li');
+    pill.className = 'cart-discount__pill';
+    pill.dataset.pending = '';
+    pill.setAttribute('aria-busy', 'true');
+    pill.setAttribute('aria-label', (this.dataset.pendingLabel ?? '').replace('[code]', code));
+
+    const label = document.createElement('p');
+    label.className = 'cart-discount__pill-code';
+    label.textContent = code;
+
+    pill.append(label);
+    this.refs.cartDiscountCodes.append(pill);
+    return pill;
   }
 
   /**
@@ -187,7 +288,7 @@ class CartDiscount extends Component {
   #existingDiscounts() {
     /** @type {string[]} */
     const discountCodes = [];
-    const discountPills = this.querySelectorAll('.cart-discount__pill');
+    const discountPills = this.querySelectorAll('.cart-discount__pill:not([data-pending])');
     for (const pill of discountPills) {
       if (pill instanceof HTMLLIElement && typeof pill.dataset.discountCode === 'string') {
         discountCodes.push(pill.dataset.discountCode);
@@ -198,6 +299,59 @@ class CartDiscount extends Component {
   }
 }
 
+/**
+ * Splits the comma-separated codes of the discount field, leaving out the duplicates and the codes already applied.
+ * Codes aren't case sensitive.
+ * @param {string} value - The field value.
+ * @param {string[]} existingDiscounts - The codes already applied.
+ * @returns {{ codes: string[], appliedCodes: string[] }} The codes to apply, and the ones already applied.
+ */
+function parseDiscountCodes(value, existingDiscounts) {
+  const existing = new Set(existingDiscounts.map((code) => code.toLowerCase()));
+  /** @type {Map<string, string>} */
+  const codes = new Map();
+
+  for (const code of value.split(',').map((part) => part.trim())) {
+    if (code && !codes.has(code.toLowerCase())) codes.set(code.toLowerCase(), code);
+  }
+
+  const uniqueCodes = Array.from(codes.values());
+
+  return {
+    codes: uniqueCodes.filter((code) => !existing.has(code.toLowerCase())),
+    appliedCodes: uniqueCodes.filter((code) => existing.has(code.toLowerCase())),
+  };
+}
+
+/**
+ * Gets the applicable codes of a cart response.
+ * @param {Array<{ code: string, applicable: boolean }>} discountCodes - The discount codes of the cart.
+ * @returns {Set<string>} The applicable codes, in lowercase.
+ */
+function getApplicableCodes(discountCodes) {
+  return new Set(discountCodes.filter(({ applicable }) => applicable).map(({ code }) => code.toLowerCase()));
+}
+
+/**
+ * Gets the codes rendered as pills by a section. The Liquid logic only renders the codes discounting the cart.
+ * @param {string | undefined} html - The section HTML.
+ * @param {string} sectionId - The section ID.
+ * @returns {Set<string> | null} The rendered codes, in lowercase, or null if the section wasn't rendered.
+ */
+function getRenderedCodes(html, sectionId) {
+  if (!html) return null;
+
+  const section = new DOMParser().parseFromString(html, 'text/html').getElementById(`shopify-section-${sectionId}`);
+  if (!section) return null;
+
+  const pills = section.querySelectorAll('.cart-discount__pill');
+
+  return new Set(
+    Array.from(pills, (pill) => (pill instanceof HTMLElement ? pill.dataset.discountCode?.toLowerCase() : undefined))
+      .filter((code) => typeof code === 'string')
+  );
+}
+
 if (!customElements.get('cart-discount-component')) {
   customElements.define('cart-discount-component', CartDiscount);
 }
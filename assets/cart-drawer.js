@@ -1,5 +1,6 @@
 import { DialogComponent, DialogOpenEvent } from '@theme/dialog';
 import { CartAddEvent } from '@theme/events';
+import { SYNC_SOURCE } from '@theme/cart';
 
 /**
  * A custom element that manages a cart drawer.
@@ -25,7 +26,13 @@ class CartDrawerComponent extends DialogComponent {
     this.removeEventListener(DialogOpenEvent.eventName, this.#updateStickyState);
   }
 
-  #handleCartAdd = () => {
+  /**
+   * Opens the drawer when the cart is updated, unless the change was made in another tab.
+   * @param {CartAddEvent} event - The cart event.
+   */
+  #handleCartAdd = (event) => {
+    if (event.detail.data?.source === SYNC_SOURCE) return;
+
     if (this.hasAttribute('auto-open')) {
       this.showDialog();
     }
@@ -1,6 +1,7 @@
 import { Component } from '@theme/component';
 import { onAnimationEnd } from '@theme/utilities';
-import { ThemeEvents, CartUpdateEvent } from '@theme/events';
+import { ThemeEvents, CartUpdateEvent, CartCountUpdateEvent } from '@theme/events';
+import { SYNC_SOURCE } from '@theme/cart';
 
 /**
  * A custom element that displays a cart icon.
@@ -28,6 +29,7 @@ class CartIcon extends Component {
     super.connectedCallback();
 
     document.addEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    document.addEventListener(ThemeEvents.cartCountUpdate, this.onCartCountUpdate);
     window.addEventListener('pageshow', this.onPageShow);
     this.ensureCartBubbleIsCorrect();
   }
@@ -36,6 +38,7 @@ class CartIcon extends Component {
     super.disconnectedCallback();
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    document.removeEventListener(ThemeEvents.cartCountUpdate, this.onCartCountUpdate);
     window.removeEventListener('pageshow', this.onPageShow);
   }
 
@@ -55,23 +58,29 @@ class CartIcon extends Component {
    */
   onCartUpdate = async (event) => {
     const itemCount = event.detail.data?.itemCount ?? 0;
-    const comingFromProductForm = event.detail.data?.source === 'product-form-component';
 
-    this.renderCartBubble(itemCount, comingFromProductForm);
+    // Changes made in another tab aren't animated
+    this.renderCartBubble(itemCount, event.detail.data?.source !== SYNC_SOURCE);
   };
 
   /**
-   * Renders the cart bubble.
-   * @param {number} itemCount - The number of items in the cart.
-   * @param {boolean} comingFromProductForm - Whether the cart update is coming from the product form.
+   * Handles the optimistic cart count update event, sent while a cart change is pending.
+   * @param {CartCountUpdateEvent} event - The cart count update event.
    */
-  renderCartBubble = async (itemCount, comingFromProductForm, animate = true) => {
-    // If the cart update is coming from the product form, we add to the current cart count, otherwise we set the new cart count
+  onCartCountUpdate = (event) => {
+    this.renderCartBubble(event.detail.itemCount, false);
+  };
 
+  /**
+   * Renders the cart bubble.
+   * @param {number} itemCount - The number of items in the cart, as sent by the cart store.
+   * @param {boolean} [animate] - Whether to animate the bubble.
+   */
+  renderCartBubble = async (itemCount, animate = true) => {
     this.refs.cartBubbleCount.classList.toggle('hidden', itemCount === 0);
     this.refs.cartBubble.classList.toggle('visually-hidden', itemCount === 0);
 
-    this.currentCartCount = comingFromProductForm ? this.currentCartCount + itemCount : itemCount;
+    this.currentCartCount = itemCount;
 
     this.classList.toggle('header-actions__cart-icon--has-cart', itemCount > 0);
 
@@ -120,7 +129,7 @@ class CartIcon extends Component {
         const count = parseInt(value, 10);
 
         if (count >= 0) {
-          this.renderCartBubble(count, false, false);
+          this.renderCartBubble(count, false);
         }
       }
     } catch (_) {
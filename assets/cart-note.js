@@ -1,13 +1,49 @@
 import { Component } from '@theme/component';
-import { debounce, fetchConfig } from '@theme/utilities';
+import { ThemeEvents } from '@theme/events';
+import { debounce } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
+import { cartStore } from '@theme/cart';
 
 /**
- * A custom element that displays a cart note.
+ * A custom element that displays a cart note, with its save status and character count.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLTextAreaElement} note - The note.
+ * @property {HTMLElement} status - The save status.
+ * @property {HTMLElement} [counter] - The character count, when the note has a maximum length.
+ *
+ * @extends {Component<Refs>}
  */
 class CartNote extends Component {
-  /** @type {AbortController | null} */
-  #activeFetch = null;
+  requiredRefs = ['note', 'status'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // A note that wasn't saved yet wins over the one rendered with the cart
+    const { note } = cartStore.pendingDetails;
+    if (note !== undefined) this.refs.note.value = note;
+    this.#renderCounter();
+
+    document.addEventListener(ThemeEvents.cartDetailsSave, this.#handleDetailsSave);
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartDetailsSave, this.#handleDetailsSave);
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
+  /**
+   * Counts the characters of the note as it's typed, and saves it.
+   * @param {InputEvent} event - The input event in our text-area.
+   */
+  handleInput(event) {
+    this.#renderCounter();
+    this.updateCartNote(event);
+  }
 
   /**
    * Handles updates to the cart note.
@@ -16,29 +52,53 @@ class CartNote extends Component {
   updateCartNote = debounce(async (event) => {
     if (!(event.target instanceof HTMLTextAreaElement)) return;
 
-    const note = event.target.value;
-    if (this.#activeFetch) {
-      this.#activeFetch.abort();
-    }
-
-    const abortController = new AbortController();
-    this.#activeFetch = abortController;
-
-    try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ note }),
-      });
-
-      await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
-    } catch (error) {
-    } finally {
-      this.#activeFetch = null;
-      cartPerformance.measureFromEvent('note-update:user-action', event);
-    }
+    // The note is kept locally until it's saved, the save status follows the `CartDetailsSaveEvent`
+    await cartStore.saveDetails({ note: event.target.value });
+    cartPerformance.measureFromEvent('note-update:user-action', event);
   }, 200);
+
+  /**
+   * Shows the save status of the note.
+   * @param {import('./events').CartDetailsSaveEvent} event - The save event.
+   */
+  #handleDetailsSave = (event) => {
+    const { status, details } = event.detail;
+    if (details.note === undefined) return;
+
+    const message = {
+      saving: this.dataset.savingMessage,
+      saved: this.dataset.savedMessage,
+      failed: this.dataset.failedMessage,
+    }[status];
+
+    this.refs.status.textContent = message ?? '';
+    this.refs.status.dataset.status = status;
+  };
+
+  /**
+   * Shows the note of a cart changed elsewhere, e.g. in another tab, unless the note is being edited.
+   * @param {import('./events').CartUpdateEvent} event - The cart update event.
+   */
+  #handleCartUpdate = (event) => {
+    const cart = /** @type {import('./cart').Cart | undefined} */ (event.detail.resource);
+    const { note } = this.refs;
+
+    if (!cart || cart.note === undefined) return;
+    if (document.activeElement === note || cartStore.pendingDetails.note !== undefined) return;
+
+    note.value = cart.note ?? '';
+    this.#renderCounter();
+  };
+
+  /**
+   * Renders the character count of the note.
+   */
+  #renderCounter() {
+    const { note, counter } = this.refs;
+    if (!counter || note.maxLength <= 0) return;
+
+    counter.textContent = `${note.value.length}/${note.maxLength}`;
+  }
 }
 
 if (!customElements.get('cart-note')) {
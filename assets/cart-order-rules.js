@@ -0,0 +1,85 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { cartStore } from '@theme/cart';
+import { validateCart } from '@theme/order-rules';
+
+/**
+ * A custom element that shows the order rules the cart breaks, and disables the checkout buttons of the cart
+ * summary until they pass.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLUListElement} messages - The messages of the broken rules.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartOrderRules extends Component {
+  requiredRefs = ['messages'];
+
+  /**
+   * Incremented on every check, so a slow check can't overwrite the result of a later one.
+   */
+  #check = 0;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    cartStore.get().then(this.#validate, (error) => console.error(error));
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
+  /**
+   * Checks the rules again whenever the cart changes.
+   * @param {import('./events').CartUpdateEvent} event - The cart update event.
+   */
+  #handleCartUpdate = async (event) => {
+    const resource = /** @type {import('./cart').Cart | undefined} */ (event.detail.resource);
+
+    try {
+      await this.#validate(resource?.items ? resource : await cartStore.get());
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  /**
+   * Checks the cart against the rules, and shows the result.
+   * @param {import('./cart').Cart} cart - The cart.
+   */
+  #validate = async (cart) => {
+    const check = ++this.#check;
+    const violations = await validateCart(cart);
+    if (check !== this.#check) return;
+
+    const { messages } = this.refs;
+    messages.replaceChildren(
+      ...violations.map((violation) => {
+        const item = document.createElement('li');
+        item.textContent = violation.message;
+        return item;
+      })
+    );
+    messages.hidden = violations.length === 0;
+
+    // The checkout buttons keep these states when the section is morphed, see `data-skip-node-update`
+    const ctas = this.closest('.cart__ctas');
+    const blocked = violations.length > 0;
+
+    for (const button of ctas?.querySelectorAll('button[name="checkout"]') ?? []) {
+      if (button instanceof HTMLButtonElement) button.disabled = blocked || cart.item_count === 0;
+    }
+
+    // Accelerated checkout skips the cart, so it's hidden until the rules pass
+    const acceleratedCheckout = ctas?.querySelector('.additional-checkout-buttons');
+    if (acceleratedCheckout instanceof HTMLElement) acceleratedCheckout.hidden = blocked;
+  };
+}
+
+if (!customElements.get('cart-order-rules')) {
+  customElements.define('cart-order-rules', CartOrderRules);
+}
@@ -0,0 +1,240 @@
+import { Component } from '@theme/component';
+import { NotificationEvent, ThemeEvents } from '@theme/events';
+import { cartStore, CartError, SYNC_SOURCE, getCartSectionIds } from '@theme/cart';
+import { convertToMinorUnits, formatMoney } from '@theme/money-formatting';
+import { parseIntOrDefault } from '@theme/utilities';
+
+/**
+ * The line item property of the gifts added for a tier, holding the tier number
+ */
+const REWARD_PROPERTY = '_cart_reward';
+
+/**
+ * @typedef {Object} RewardTier
+ * @property {string} tier - The tier number
+ * @property {number} amount - The cart total unlocking the tier, in minor units of the cart currency
+ * @property {string} reward - The reward
+ * @property {number | null} giftVariantId - The gift added for the tier, if any
+ * @property {HTMLElement} milestone - The milestone of the tier on the bar
+ */
+
+/**
+ * A custom element that shows the progress of the cart total toward the reward tiers, e.g. free shipping,
+ * and optionally adds or removes the gift of a tier when it's crossed.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} message - The message.
+ * @property {HTMLElement} bar - The progress bar.
+ * @property {HTMLElement} fill - The filled part of the bar.
+ * @property {HTMLElement[]} milestones - The milestones of the tiers.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartRewardsProgress extends Component {
+  requiredRefs = ['message', 'bar', 'fill', 'milestones'];
+
+  /**
+   * The number of tiers reached by the cart total
+   */
+  #reachedTiers = 0;
+
+  /**
+   * The number of tiers the gifts in the cart were last updated for
+   */
+  #giftedTiers = 0;
+
+  /**
+   * Whether gifts are being added or removed, so they aren't updated twice
+   */
+  #updatingGifts = false;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.addEventListener(ThemeEvents.discountUpdate, this.#handleCartUpdate);
+
+    this.#reachedTiers = this.#render(parseIntOrDefault(this.dataset.totalPrice, 0));
+    this.#giftedTiers = this.#reachedTiers;
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.removeEventListener(ThemeEvents.discountUpdate, this.#handleCartUpdate);
+  }
+
+  /**
+   * Updates the progress from the cart of a cart or discount update, announcing the tiers crossed.
+   * @param {Event} event - The cart or discount update event.
+   */
+  #handleCartUpdate = (event) => {
+    const { detail } = /** @type {CustomEvent} */ (event);
+
+    /** @type {import('./cart').Cart | undefined} */
+    const cart = detail?.resource;
+    if (!cart || typeof cart.total_price !== 'number' || !Array.isArray(cart.items)) return;
+
+    const previousReachedTiers = this.#reachedTiers;
+    const reachedTiers = this.#render(getRewardsTotal(cart));
+
+    if (reachedTiers === previousReachedTiers) return;
+
+    this.#reachedTiers = reachedTiers;
+
+    // The cart drawer and the cart page show the same message, which the toast region only shows once
+    this.dispatchEvent(
+      new NotificationEvent(this.refs.message.textContent ?? '', {
+        type: reachedTiers > previousReachedTiers ? 'success' : 'info',
+      })
+    );
+
+    if (this.dataset.autoAddGifts === undefined) return;
+
+    // Each tab gets the changes of the others, so only the tab where the cart changed updates the gifts
+    if (detail.data?.source === SYNC_SOURCE) {
+      this.#giftedTiers = reachedTiers;
+    } else {
+      this.#updateGifts(cart);
+    }
+  };
+
+  /**
+   * Renders the progress of a cart total.
+   * @param {number} total - The cart total counting toward the tiers, in minor units.
+   * @returns {number} The number of tiers reached.
+   */
+  #render(total) {
+    const tiers = this.#tiers;
+    const lastTier = tiers[tiers.length - 1];
+    if (!lastTier) return 0;
+
+    const nextTier = tiers.find((tier) => tier.amount > total);
+    const reachedTiers = nextTier ? tiers.indexOf(nextTier) : tiers.length;
+    const progress = Math.min(100, Math.round((total / lastTier.amount) * 100));
+    const { moneyFormat = '{{amount}}', currency = '' } = this.dataset;
+
+    this.refs.message.textContent = nextTier
+      ? (this.dataset.remainingMessage ?? '')
+          .replace('[amount]', formatMoney(nextTier.amount - total, moneyFormat, currency))
+          .replace('[reward]', nextTier.reward)
+      : (this.dataset.unlockedMessage ?? '').replace('[reward]', lastTier.reward);
+
+    this.refs.bar.setAttribute('aria-valuenow', progress.toString());
+    this.refs.fill.style.setProperty('--cart-rewards-progress', `${progress}%`);
+    tiers.forEach(({ milestone }, index) => milestone.toggleAttribute('data-reached', index < reachedTiers));
+
+    return reachedTiers;
+  }
+
+  /**
+   * Adds the gifts of the tiers reached since the last update of the gifts, and removes the gifts of the tiers lost.
+   * The tiers crossed while gifts are being updated are handled once the update completes, with the latest cart.
+   * @param {import('./cart').Cart} cart - The cart.
+   */
+  async #updateGifts(cart) {
+    if (this.#updatingGifts) return;
+
+    const previousReachedTiers = this.#giftedTiers;
+    const reachedTiers = this.#reachedTiers;
+    this.#giftedTiers = reachedTiers;
+
+    const tiers = this.#tiers;
+    const giftLines = cart.items.filter((item) => item.properties?.[REWARD_PROPERTY]);
+    const lostTiers = tiers.slice(reachedTiers, previousReachedTiers).map(({ tier }) => tier);
+
+    const giftsToAdd = tiers
+      .slice(previousReachedTiers, reachedTiers)
+      .filter(({ tier, giftVariantId }) => giftVariantId && !giftLines.some((item) => isGiftOf(item, tier)));
+    const giftsToRemove = giftLines.filter((item) => lostTiers.some((tier) => isGiftOf(item, tier)));
+
+    if (giftsToAdd.length === 0 && giftsToRemove.length === 0) return;
+
+    /** @type {import('./cart').CartRequestOptions} */
+    const options = {
+      sections: getCartSectionIds(),
+      source: 'cart-rewards-progress',
+      sourceId: this.id,
+    };
+
+    this.#updatingGifts = true;
+
+    try {
+      if (giftsToRemove.length > 0) {
+        await cartStore.update(
+          { updates: Object.fromEntries(giftsToRemove.map((item) => [item.key, 0])) },
+          { ...options, silent: giftsToAdd.length > 0 }
+        );
+      }
+
+      if (giftsToAdd.length > 0) {
+        const response = await cartStore.add(
+          {
+            items: giftsToAdd.map(({ tier, giftVariantId }) => ({
+              id: /** @type {number} */ (giftVariantId),
+              quantity: 1,
+              properties: { [REWARD_PROPERTY]: tier },
+            })),
+          },
+          { ...options, silent: true }
+        );
+
+        cartStore.notify('update', response, options);
+      }
+    } catch (error) {
+      // A gift that's sold out can't be added, the tier stays unlocked without it
+      if (!(error instanceof CartError)) console.error(error);
+    } finally {
+      this.#updatingGifts = false;
+    }
+
+    if (this.#giftedTiers !== this.#reachedTiers && cartStore.cart) this.#updateGifts(cartStore.cart);
+  }
+
+  /**
+   * Gets the tiers, from the lowest amount to the highest.
+   * The amounts are set in the store currency, and converted to the cart currency.
+   * @returns {RewardTier[]} The tiers.
+   */
+  get #tiers() {
+    const rate = parseFloat(window.Shopify?.currency?.rate ?? '1') || 1;
+    const currency = this.dataset.currency ?? '';
+
+    return this.refs.milestones
+      .map((milestone) => ({
+        tier: milestone.dataset.tier ?? '',
+        amount: convertToMinorUnits(parseFloat(milestone.dataset.amount ?? '0') * rate, currency),
+        reward: milestone.dataset.reward ?? '',
+        giftVariantId: parseIntOrDefault(milestone.dataset.giftVariantId, null),
+        milestone,
+      }))
+      .sort((a, b) => a.amount - b.amount);
+  }
+}
+
+/**
+ * Checks whether a line is the gift of a tier.
+ * @param {import('./cart').CartItem} item - The line.
+ * @param {string} tier - The tier number.
+ * @returns {boolean} Whether the line is the gift of the tier.
+ */
+function isGiftOf(item, tier) {
+  return item.properties?.[REWARD_PROPERTY] === tier;
+}
+
+/**
+ * Gets the cart total counting toward the tiers. Gifts added for a tier don't count, so they can't keep it unlocked.
+ * @param {import('./cart').Cart} cart - The cart.
+ * @returns {number} The total, in minor units.
+ */
+function getRewardsTotal(cart) {
+  return cart.items.reduce(
+    (total, item) => (item.properties?.[REWARD_PROPERTY] ? total - item.final_line_price : total),
+    cart.total_price
+  );
+}
+
+if (!customElements.get('cart-rewards-progress')) {
+  customElements.define('cart-rewards-progress', CartRewardsProgress);
+}
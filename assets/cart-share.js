@@ -0,0 +1,453 @@
+import { DialogComponent } from '@theme/dialog';
+import { cartStore, CartError } from '@theme/cart';
+import { BUNDLE_PARENT_PROPERTY } from '@theme/bundle-rules';
+import { QRCode } from '@theme/qr-code-generator';
+
+/**
+ * The URL parameter holding the encoded cart of a cart link
+ */
+const SHARE_PARAMETER = 'shared_cart';
+
+/**
+ * The line item property of the reward gifts. They're left out of the links, the rewards progress bar adds them
+ * back once the cart reaches their tier.
+ */
+const REWARD_PROPERTY = '_cart_reward';
+
+/**
+ * @typedef {Object} SharedItem
+ * @property {number} id - The variant ID
+ * @property {number} quantity - The quantity
+ * @property {Record<string, string>} [properties] - The line item properties, without the bundle parent
+ * @property {number} [selling_plan] - The selling plan ID
+ * @property {number} [parent] - The index of the item this item was added with by bundle rules
+ */
+
+/**
+ * @typedef {Object} SharedCart
+ * @property {SharedItem[]} items - The items, from the oldest line to the newest
+ * @property {string[]} discounts - The discount codes
+ */
+
+/**
+ * A custom element that shares the cart as links: a cart link keeping the line item properties and discount codes,
+ * which `cart-share-import` opens, and a cart permalink going straight to checkout. The cart link is also shown as a
+ * QR code.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLDialogElement} dialog - The dialog.
+ * @property {HTMLElement} qrCode - The QR code of the cart link.
+ * @property {HTMLInputElement} link - The cart link.
+ * @property {HTMLElement} linkCopy - The button copying the cart link.
+ * @property {HTMLInputElement} permalink - The cart permalink.
+ * @property {HTMLElement} permalinkCopy - The button copying the cart permalink.
+ *
+ * @extends {DialogComponent}
+ */
+class CartShare extends DialogComponent {
+  requiredRefs = ['dialog', 'qrCode', 'link', 'linkCopy', 'permalink', 'permalinkCopy'];
+
+  /**
+   * Builds the links of the current cart and shows them.
+   */
+  async share() {
+    const sharedCart = toSharedCart(await cartStore.get());
+    const link = getCartLink(sharedCart);
+    const permalink = getCartPermalink(sharedCart);
+    const { linkCopy, permalinkCopy } = this.#refs;
+
+    this.#refs.link.value = link;
+    this.#refs.permalink.value = permalink;
+    linkCopy.setAttribute('text-to-copy', link);
+    permalinkCopy.setAttribute('text-to-copy', permalink);
+
+    // The success messages of the previous share are hidden again
+    for (const copy of [linkCopy, permalinkCopy]) {
+      copy.querySelector('[ref="copySuccessMessage"]')?.classList.add('visually-hidden');
+    }
+
+    this.#renderQRCode(link);
+    this.showDialog();
+  }
+
+  /**
+   * Selects a link, so it can also be copied by hand.
+   * @param {Event} event - The focus event.
+   */
+  selectLink(event) {
+    if (event.target instanceof HTMLInputElement) event.target.select();
+  }
+
+  /**
+   * Renders the QR code of a link.
+   * @param {string} text - The link.
+   */
+  #renderQRCode(text) {
+    const { qrCode } = this.#refs;
+    qrCode.replaceChildren();
+
+    try {
+      new QRCode(qrCode, {
+        text,
+        width: 192,
+        height: 192,
+        alt: qrCode.dataset.alt ?? '',
+        correctLevel: QRCode.CorrectLevel.L,
+      });
+      qrCode.hidden = false;
+    } catch (_) {
+      // The links of large carts don't fit in a QR code, they can still be copied
+      qrCode.replaceChildren();
+      qrCode.hidden = true;
+    }
+  }
+
+  /**
+   * Gets the refs.
+   * @returns {Refs} The refs
+   */
+  get #refs() {
+    return /** @type {Refs} */ (/** @type {unknown} */ (this.refs));
+  }
+}
+
+/**
+ * A custom element that opens the cart link of another buyer, asking whether to replace the cart with the shared
+ * cart or to add the shared cart to it.
+ *
+ * @typedef {object} ImportRefs
+ * @property {HTMLDialogElement} dialog - The dialog.
+ * @property {HTMLElement} summary - The items of the shared cart.
+ * @property {HTMLElement} discounts - The discount codes of the shared cart.
+ * @property {HTMLButtonElement} replaceButton - The button replacing the cart.
+ * @property {HTMLButtonElement} mergeButton - The button adding the shared cart to the cart.
+ * @property {HTMLElement} error - The error message.
+ *
+ * @extends {DialogComponent}
+ */
+class CartShareImport extends DialogComponent {
+  requiredRefs = ['dialog', 'summary', 'discounts', 'replaceButton', 'mergeButton', 'error'];
+
+  /**
+   * The cart of the link
+   * @type {SharedCart | null}
+   */
+  #sharedCart = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const url = new URL(window.location.href);
+    const value = url.searchParams.get(SHARE_PARAMETER);
+    if (value === null) return;
+
+    // The link is only offered once, not on every reload
+    url.searchParams.delete(SHARE_PARAMETER);
+    history.replaceState(history.state, '', url.toString());
+
+    this.#sharedCart = decodeSharedCart(value);
+    if (this.#sharedCart) this.#open(this.#sharedCart);
+  }
+
+  /**
+   * Replaces the cart with the shared cart.
+   */
+  replaceCart() {
+    this.#import(true);
+  }
+
+  /**
+   * Adds the shared cart to the cart.
+   */
+  mergeCart() {
+    this.#import(false);
+  }
+
+  /**
+   * Describes the shared cart and asks what to do with it.
+   * @param {SharedCart} sharedCart - The shared cart.
+   */
+  async #open(sharedCart) {
+    const cart = await cartStore.get();
+    const count = sharedCart.items.reduce((total, item) => total + item.quantity, 0);
+    const { itemsOne = '', itemsOther = '', discountsMessage = '' } = this.dataset;
+
+    this.#refs.summary.textContent = count === 1 ? itemsOne : itemsOther.replace('{{ count }}', count.toString());
+    this.#refs.discounts.textContent = discountsMessage.replace('[codes]', sharedCart.discounts.join(', '));
+    this.#refs.discounts.hidden = sharedCart.discounts.length === 0;
+
+    // An empty cart has nothing to replace
+    this.#refs.replaceButton.hidden = cart.item_count === 0;
+
+    this.showDialog();
+  }
+
+  /**
+   * Adds the shared cart, after clearing the cart when it's replaced.
+   * @param {boolean} replace - Whether the cart is replaced.
+   */
+  async #import(replace) {
+    const sharedCart = this.#sharedCart;
+    const { replaceButton, mergeButton, error } = this.#refs;
+    if (!sharedCart || mergeButton.getAttribute('aria-busy') === 'true') return;
+
+    /** @type {import('./cart').CartRequestOptions} */
+    const options = { source: 'cart-share-import', sourceId: this.id };
+
+    error.hidden = true;
+    replaceButton.setAttribute('aria-busy', 'true');
+    mergeButton.setAttribute('aria-busy', 'true');
+
+    try {
+      const cart = replace ? (await cartStore.clear({ ...options, silent: true })).cart : await cartStore.get();
+      const skippedItems = await addSharedItems(sharedCart.items, { ...options, silent: true });
+
+      if (sharedCart.discounts.length > 0) {
+        const codes = new Set([...(cart.discount_codes ?? []).map(({ code }) => code), ...sharedCart.discounts]);
+        await cartStore.update({ discount: [...codes].join(',') }, { ...options, silent: true });
+      }
+
+      // The changes were made silently, the sections re-render on the update event of the refreshed cart
+      await cartStore.refresh(options);
+
+      if (skippedItems > 0) {
+        error.textContent = this.dataset.partialMessage ?? '';
+        error.hidden = false;
+        replaceButton.hidden = true;
+        mergeButton.hidden = true;
+        return;
+      }
+
+      this.#sharedCart = null;
+      this.closeDialog();
+    } catch (requestError) {
+      console.error(requestError);
+      error.textContent = this.dataset.errorMessage ?? '';
+      error.hidden = false;
+      cartStore.refresh(options);
+    } finally {
+      replaceButton.removeAttribute('aria-busy');
+      mergeButton.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * Gets the refs.
+   * @returns {ImportRefs} The refs
+   */
+  get #refs() {
+    return /** @type {ImportRefs} */ (/** @type {unknown} */ (this.refs));
+  }
+}
+
+/**
+ * Gets the shared cart of a cart.
+ * @param {import('./cart').Cart} cart - The cart.
+ * @returns {SharedCart} The shared cart.
+ */
+function toSharedCart(cart) {
+  // New lines are added at the top of the cart, so the oldest line comes first to be added first
+  const lines = cart.items.filter((item) => !item.properties?.[REWARD_PROPERTY]).reverse();
+
+  const items = lines.map((line) => {
+    const { [BUNDLE_PARENT_PROPERTY]: parentKey, ...properties } = line.properties ?? {};
+    const parent = parentKey ? lines.findIndex(({ key }) => key === parentKey) : -1;
+    const sellingPlan = line.selling_plan_allocation?.selling_plan.id;
+
+    /** @type {SharedItem} */
+    const item = { id: line.variant_id, quantity: line.quantity };
+    if (Object.keys(properties).length > 0) item.properties = properties;
+    if (sellingPlan) item.selling_plan = sellingPlan;
+    if (parent !== -1) item.parent = parent;
+
+    return item;
+  });
+
+  const discounts = (cart.discount_codes ?? []).filter(({ applicable }) => applicable).map(({ code }) => code);
+
+  return { items, discounts };
+}
+
+/**
+ * Gets the cart link of a shared cart, opening the import dialog.
+ * @param {SharedCart} sharedCart - The shared cart.
+ * @returns {string} The link.
+ */
+function getCartLink(sharedCart) {
+  const url = new URL(Theme.routes.cart_url, window.location.origin);
+  url.searchParams.set(SHARE_PARAMETER, encodeSharedCart(sharedCart));
+  return url.toString();
+}
+
+/**
+ * Gets the cart permalink of a shared cart. Permalinks only hold variants and quantities, so the quantities of the
+ * lines of a variant are added up.
+ * @param {SharedCart} sharedCart - The shared cart.
+ * @returns {string} The permalink.
+ */
+function getCartPermalink(sharedCart) {
+  /** @type {Map<number, number>} */
+  const quantities = new Map();
+  for (const { id, quantity } of sharedCart.items) {
+    quantities.set(id, (quantities.get(id) ?? 0) + quantity);
+  }
+
+  const lines = Array.from(quantities, ([id, quantity]) => `${id}:${quantity}`).join(',');
+  const url = new URL(`${Theme.routes.cart_url}/${lines}`, window.location.origin);
+  if (sharedCart.discounts.length > 0) url.searchParams.set('discount', sharedCart.discounts.join(','));
+
+  return url.toString();
+}
+
+/**
+ * Encodes a shared cart as URL-safe base64 JSON.
+ * @param {SharedCart} sharedCart - The shared cart.
+ * @returns {string} The encoded cart.
+ */
+function encodeSharedCart(sharedCart) {
+  const bytes = new TextEncoder().encode(JSON.stringify(sharedCart));
+  const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join('');
+
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes the shared cart of a cart link, keeping only the valid items.
+ * @param {string} value - The encoded cart.
+ * @returns {SharedCart | null} The shared cart, or null if the link is invalid.
+ */
+function decodeSharedCart(value) {
+  try {
+    const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+    const json = new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+    const { items, discounts } = JSON.parse(json);
+    if (!Array.isArray(items)) return null;
+
+    /** @type {SharedItem[]} */
+    const validItems = items
+      .filter((item) => Number.isInteger(item?.id) && Number.isInteger(item.quantity) && item.quantity > 0)
+      .map((item, index, array) => ({
+        id: item.id,
+        quantity: item.quantity,
+        ...(isStringRecord(item.properties) && { properties: item.properties }),
+        ...(Number.isInteger(item.selling_plan) && { selling_plan: item.selling_plan }),
+        // A bundle item is only kept with its parent, which is added before it and isn't a bundle item itself
+        ...(Number.isInteger(item.parent) &&
+          item.parent < index &&
+          array[item.parent].parent === undefined && { parent: item.parent }),
+      }));
+    if (validItems.length === 0) return null;
+
+    return {
+      items: validItems,
+      discounts: Array.isArray(discounts) ? discounts.filter((code) => typeof code === 'string' && code) : [],
+    };
+  } catch (error) {
+    console.warn('Invalid cart link:', error);
+    return null;
+  }
+}
+
+/**
+ * Checks whether a value is a record of strings, like line item properties.
+ * @param {unknown} value - The value.
+ * @returns {value is Record<string, string>} Whether the value is a record of strings.
+ */
+function isStringRecord(value) {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    !Array.isArray(value) &&
+    Object.values(value).every((property) => typeof property === 'string')
+  );
+}
+
+/**
+ * Adds the items of a shared cart, then the bundle items along with the lines of their parents.
+ * @param {SharedItem[]} items - The items.
+ * @param {import('./cart').CartRequestOptions} options - The options.
+ * @returns {Promise<number>} The number of items skipped.
+ */
+async function addSharedItems(items, options) {
+  /** @type {Map<number, string>} */
+  const lineKeys = new Map();
+  const entries = items.map((item, index) => ({ item, index }));
+  const parentEntries = entries.filter(({ item }) => item.parent === undefined);
+  const skippedParents = await addEntries(parentEntries, lineKeys, options);
+
+  // Bundle items are skipped along with their parent
+  const bundleEntries = entries.filter(({ item }) => item.parent !== undefined);
+  const addableEntries = bundleEntries.filter(({ item }) => lineKeys.has(/** @type {number} */ (item.parent)));
+  const skippedBundleItems = await addEntries(addableEntries, lineKeys, options);
+
+  return skippedParents + skippedBundleItems + bundleEntries.length - addableEntries.length;
+}
+
+/**
+ * Adds items of a shared cart, keeping the keys of their lines. When the items can't be added together, e.g. as one
+ * of them is sold out, they're added one by one, skipping the ones that fail.
+ * @param {Array<{ item: SharedItem, index: number }>} entries - The items and their indexes in the shared cart.
+ * @param {Map<number, string>} lineKeys - The keys of the added lines, by item index.
+ * @param {import('./cart').CartRequestOptions} options - The options.
+ * @returns {Promise<number>} The number of items skipped.
+ */
+async function addEntries(entries, lineKeys, options) {
+  if (entries.length === 0) return 0;
+
+  try {
+    await addBatch(entries, lineKeys, options);
+    return 0;
+  } catch (error) {
+    if (!(error instanceof CartError)) throw error;
+    if (entries.length === 1) return 1;
+  }
+
+  let skippedItems = 0;
+
+  for (const entry of entries) {
+    try {
+      await addBatch([entry], lineKeys, options);
+    } catch (error) {
+      if (!(error instanceof CartError)) throw error;
+      skippedItems += 1;
+    }
+  }
+
+  return skippedItems;
+}
+
+/**
+ * Adds items of a shared cart in one request, keeping the keys of their lines.
+ * @param {Array<{ item: SharedItem, index: number }>} entries - The items and their indexes in the shared cart.
+ * @param {Map<number, string>} lineKeys - The keys of the added lines, by item index.
+ * @param {import('./cart').CartRequestOptions} options - The options.
+ */
+async function addBatch(entries, lineKeys, options) {
+  const { data } = await cartStore.add(
+    {
+      items: entries.map(({ item }) => ({
+        id: item.id,
+        quantity: item.quantity,
+        properties: {
+          ...item.properties,
+          ...(item.parent !== undefined && { [BUNDLE_PARENT_PROPERTY]: lineKeys.get(item.parent) ?? '' }),
+        },
+        ...(item.selling_plan && { selling_plan: item.selling_plan }),
+      })),
+    },
+    options
+  );
+
+  entries.forEach(({ index }, position) => {
+    const key = data.items?.[position]?.key;
+    if (key) lineKeys.set(index, key);
+  });
+}
+
+if (!customElements.get('cart-share')) {
+  customElements.define('cart-share', CartShare);
+}
+
+if (!customElements.get('cart-share-import')) {
+  customElements.define('cart-share-import', CartShareImport);
+}
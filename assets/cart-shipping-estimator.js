@@ -0,0 +1,603 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { filterCountryListItems, moveCountryFocus } from '@theme/localization';
+import { convertToMinorUnits, formatMoney } from '@theme/money-formatting';
+import { normalizeString } from '@theme/utilities';
+
+/**
+ * The local storage key of the last address estimated
+ */
+const STORAGE_KEY = 'theme:shipping-estimator-address';
+
+/**
+ * The time between two checks of the shipping rates being calculated, in milliseconds
+ */
+const POLL_INTERVAL = 500;
+
+/**
+ * The number of checks before giving up on the shipping rates
+ */
+const MAX_POLLS = 20;
+
+/**
+ * @typedef {Object} ShippingAddress
+ * @property {string} country - The country name, as listed by `country_option_tags`
+ * @property {string} province - The province name, if the country has provinces
+ * @property {string} zip - The ZIP or postal code
+ */
+
+/**
+ * @typedef {Object} ShippingRate
+ * @property {string} name - The rate name
+ * @property {string} [presentment_name] - The rate name, translated in the buyer's language
+ * @property {string} price - The price, in major units of the cart currency, e.g. "10.00"
+ * @property {string} [currency] - The currency of the price
+ * @property {[string, string] | null} [delivery_range] - The earliest and latest delivery dates, e.g. "2025-01-02"
+ */
+
+/**
+ * An error response from the shipping rates API, e.g. when the ZIP code isn't valid for the country.
+ */
+class ShippingRatesError extends Error {
+  /**
+   * @param {Record<string, string | string[]>} errors - The error messages, by address field
+   */
+  constructor(errors) {
+    super('Shipping rates error');
+
+    this.name = 'ShippingRatesError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * The shipping rate requests in flight, by query. The drawer and cart page estimators share them when they
+ * estimate the same address at the same time, e.g. after a cart change.
+ * @type {Map<string, Promise<ShippingRate[]>>}
+ */
+const pendingRates = new Map();
+
+// Registered before any estimator listens to cart changes, so the rates estimated after a change are fetched again
+document.addEventListener(ThemeEvents.cartUpdate, () => pendingRates.clear());
+
+/**
+ * A custom element that estimates the shipping rates of the cart for a country, province and ZIP code.
+ * The countries are filtered like in the localization form, and the address is remembered and estimated again
+ * when the cart changes.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLDetailsElement} details - The disclosure of the form.
+ * @property {HTMLSelectElement} countryOptions - The countries and their provinces, from `country_option_tags`.
+ * @property {HTMLFormElement} form - The form.
+ * @property {HTMLElement} countryField - The country field, with its list.
+ * @property {HTMLInputElement} countrySearch - The country input, filtering the list.
+ * @property {HTMLElement} countryPopover - The popover of the country list.
+ * @property {HTMLUListElement} countryList - The country list.
+ * @property {HTMLElement} noResultsMessage - The message shown when no country matches.
+ * @property {HTMLElement} liveRegion - The live region announcing the number of countries matching.
+ * @property {HTMLElement} provinceField - The province field.
+ * @property {HTMLSelectElement} province - The province select.
+ * @property {HTMLInputElement} zip - The ZIP code input.
+ * @property {HTMLButtonElement} submitButton - The submit button.
+ * @property {HTMLElement} error - The error message.
+ * @property {HTMLElement} results - The shipping rates.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartShippingEstimator extends Component {
+  requiredRefs = [
+    'details',
+    'countryOptions',
+    'form',
+    'countryField',
+    'countrySearch',
+    'countryPopover',
+    'countryList',
+    'noResultsMessage',
+    'provinceField',
+    'province',
+    'zip',
+    'submitButton',
+    'error',
+    'results',
+  ];
+
+  /**
+   * The items of the country list
+   * @type {HTMLElement[]}
+   */
+  #countryItems = [];
+
+  /**
+   * The selected country item
+   * @type {HTMLElement | null}
+   */
+  #selectedCountry = null;
+
+  /**
+   * The address of the rates shown, estimated again when the cart changes
+   * @type {ShippingAddress | null}
+   */
+  #estimatedAddress = null;
+
+  /**
+   * The number of estimates requested, so only the result of the latest one is shown
+   */
+  #requestCount = 0;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    if (this.#countryItems.length === 0) {
+      this.#renderCountries();
+      this.#restoreAddress();
+    }
+
+    this.refs.countrySearch.addEventListener('keydown', this.#onSearchKeyDown);
+    this.refs.countryPopover.addEventListener('keydown', this.#onCountryListKeyDown);
+    this.refs.countryField.addEventListener('focusout', this.#onCountryFieldFocusOut);
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.refs.countrySearch.removeEventListener('keydown', this.#onSearchKeyDown);
+    this.refs.countryPopover.removeEventListener('keydown', this.#onCountryListKeyDown);
+    this.refs.countryField.removeEventListener('focusout', this.#onCountryFieldFocusOut);
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
+  /**
+   * Estimates the remembered address the first time the form is opened.
+   */
+  handleToggle() {
+    if (!this.refs.details.open || this.#estimatedAddress || !readAddress()) return;
+
+    const address = this.#address;
+    if (address) this.#updateRates(address);
+  }
+
+  /**
+   * Estimates the shipping rates of the address entered, and remembers it.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  estimate(event) {
+    event.preventDefault();
+
+    const address = this.#address;
+    if (!address) return;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(address));
+    } catch (_) {
+      // Storage is unavailable, e.g. in private browsing on some browsers
+    }
+
+    this.#updateRates(address);
+  }
+
+  /**
+   * Shows the countries matching the text entered.
+   */
+  filterCountries() {
+    const { countryPopover, liveRegion, noResultsMessage, countrySearch } = this.refs;
+    const { labelResultsCount } = this.dataset;
+
+    this.openCountryList();
+
+    const countVisibleCountries = filterCountryListItems(this.#countryItems, normalizeString(countrySearch.value));
+
+    if (labelResultsCount) {
+      liveRegion.innerText = labelResultsCount.replace('[count]', `${countVisibleCountries}`);
+    }
+
+    noResultsMessage.hidden = countVisibleCountries > 0;
+    countryPopover.scrollTop = 0;
+  }
+
+  /**
+   * Opens the country list, with all the countries shown.
+   */
+  openCountryList() {
+    const { countryPopover, countrySearch, noResultsMessage } = this.refs;
+    if (!countryPopover.hidden) return;
+
+    filterCountryListItems(this.#countryItems, '');
+    noResultsMessage.hidden = true;
+    countryPopover.hidden = false;
+    countrySearch.setAttribute('aria-expanded', 'true');
+    this.#selectedCountry?.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Closes the country list, showing the selected country in the input again.
+   */
+  #closeCountryList() {
+    const { countryPopover, countrySearch } = this.refs;
+
+    countryPopover.hidden = true;
+    countrySearch.setAttribute('aria-expanded', 'false');
+    countrySearch.value = this.#selectedCountry?.dataset.label ?? '';
+    this.#countryItems.forEach((item) => item.setAttribute('aria-selected', 'false'));
+  }
+
+  /**
+   * Selects the country clicked in the list.
+   * @param {Event} event - The click event.
+   */
+  selectCountry(event) {
+    if (!(event.target instanceof HTMLElement)) return;
+
+    this.#selectCountry(event.target);
+    this.#closeCountryList();
+    this.refs.countrySearch.focus();
+  }
+
+  /**
+   * Selects a country, and lists its provinces.
+   * @param {HTMLElement} countryItem - The country item.
+   * @param {string} [province] - The province to select.
+   */
+  #selectCountry(countryItem, province) {
+    const { countrySearch, provinceField, province: provinceSelect } = this.refs;
+
+    this.#selectedCountry = countryItem;
+    countrySearch.value = countryItem.dataset.label ?? '';
+
+    /** @type {[string, string][]} */
+    let provinces = [];
+    try {
+      provinces = JSON.parse(countryItem.dataset.provinces ?? '[]');
+    } catch (_) {
+      // The country has no provinces
+    }
+
+    provinceSelect.replaceChildren(...provinces.map(([value, label]) => new Option(label, value)));
+    if (province && provinces.some(([value]) => value === province)) provinceSelect.value = province;
+
+    provinceField.hidden = provinces.length === 0;
+    provinceSelect.required = provinces.length > 0;
+  }
+
+  /**
+   * Handles the keydown event for the country input.
+   * @param {KeyboardEvent} event - The keyboard event.
+   */
+  #onSearchKeyDown = (event) => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      this.openCountryList();
+      moveCountryFocus(this.#countryItems, event.key === 'ArrowUp' ? 'UP' : 'DOWN');
+    } else if (event.key === 'Enter' && !this.refs.countryPopover.hidden) {
+      // Picks the first country matching, instead of submitting the form
+      event.preventDefault();
+      const firstMatch = this.#countryItems.find((item) => !item.hidden);
+      if (firstMatch) this.#selectCountry(firstMatch);
+      this.#closeCountryList();
+    } else if (event.key === 'Escape' && !this.refs.countryPopover.hidden) {
+      // Keeps the cart drawer open
+      event.preventDefault();
+      event.stopPropagation();
+      this.#closeCountryList();
+    }
+  };
+
+  /**
+   * Handles the keydown event for the country list.
+   * @param {KeyboardEvent} event - The keyboard event.
+   */
+  #onCountryListKeyDown = (event) => {
+    switch (event.key) {
+      case 'ArrowUp':
+      case 'ArrowDown':
+        event.preventDefault();
+        moveCountryFocus(this.#countryItems, event.key === 'ArrowUp' ? 'UP' : 'DOWN');
+        break;
+      case 'Enter':
+      case ' ': {
+        event.preventDefault();
+        const focusedItem = this.#countryItems.find((item) => item === document.activeElement);
+        if (focusedItem) this.#selectCountry(focusedItem);
+        this.#closeCountryList();
+        this.refs.countrySearch.focus();
+        break;
+      }
+      case 'Escape':
+        event.preventDefault();
+        event.stopPropagation();
+        this.#closeCountryList();
+        this.refs.countrySearch.focus();
+        break;
+    }
+  };
+
+  /**
+   * Closes the country list when the focus leaves the country field.
+   * @param {FocusEvent} event - The focusout event.
+   */
+  #onCountryFieldFocusOut = (event) => {
+    const { relatedTarget } = event;
+    if (relatedTarget instanceof Node && this.refs.countryField.contains(relatedTarget)) return;
+
+    this.#closeCountryList();
+  };
+
+  /**
+   * Estimates the shipping rates shown again, as they depend on the cart.
+   * @param {import('./events').CartUpdateEvent | import('./events').CartAddEvent} event - The cart event.
+   */
+  #handleCartUpdate = (event) => {
+    const cart = /** @type {import('./cart').Cart | undefined} */ (event.detail.resource);
+    if (!this.#estimatedAddress || !cart?.item_count) return;
+
+    this.#updateRates(this.#estimatedAddress);
+  };
+
+  /**
+   * Fetches and renders the shipping rates of an address.
+   * @param {ShippingAddress} address - The address.
+   */
+  async #updateRates(address) {
+    const { submitButton, error, results } = this.refs;
+    const requestCount = ++this.#requestCount;
+
+    submitButton.setAttribute('aria-busy', 'true');
+
+    try {
+      const rates = await getShippingRates(address);
+      if (requestCount !== this.#requestCount) return;
+
+      this.#estimatedAddress = address;
+      error.hidden = true;
+      this.#renderRates(rates);
+    } catch (rateError) {
+      if (requestCount !== this.#requestCount) return;
+
+      this.#estimatedAddress = null;
+      results.replaceChildren();
+      error.textContent =
+        rateError instanceof ShippingRatesError
+          ? this.#formatErrors(rateError.errors)
+          : (this.dataset.errorMessage ?? '');
+      error.hidden = false;
+
+      if (!(rateError instanceof ShippingRatesError)) console.error(rateError);
+    } finally {
+      if (requestCount === this.#requestCount) submitButton.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * Renders the shipping rates, with their price and delivery dates.
+   * @param {ShippingRate[]} rates - The shipping rates.
+   */
+  #renderRates(rates) {
+    const { moneyFormat = '{{amount}}', currency = '', freeLabel = '', deliveryMessage = '' } = this.dataset;
+
+    if (rates.length === 0) {
+      const message = document.createElement('p');
+      message.textContent = this.dataset.noRatesMessage ?? '';
+      this.refs.results.replaceChildren(message);
+      return;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'shipping-estimator__rates list-unstyled';
+
+    for (const rate of rates) {
+      const rateCurrency = rate.currency ?? currency;
+      const price = convertToMinorUnits(parseFloat(rate.price), rateCurrency);
+
+      const item = document.createElement('li');
+      item.className = 'shipping-estimator__rate';
+
+      const name = document.createElement('span');
+      name.textContent = rate.presentment_name || rate.name;
+
+      const amount = document.createElement('span');
+      amount.textContent = price > 0 ? formatMoney(price, moneyFormat, rateCurrency) : freeLabel;
+
+      item.append(name, amount);
+
+      if (rate.delivery_range) {
+        const delivery = document.createElement('span');
+        delivery.className = 'shipping-estimator__rate-delivery';
+        delivery.textContent = deliveryMessage.replace('[dates]', formatDeliveryRange(rate.delivery_range));
+        item.append(delivery);
+      }
+
+      list.append(item);
+    }
+
+    this.refs.results.replaceChildren(list);
+  }
+
+  /**
+   * Formats the errors of the shipping rates API, prefixed with the label of their field.
+   * @param {Record<string, string | string[]>} errors - The error messages, by address field.
+   * @returns {string} The errors.
+   */
+  #formatErrors(errors) {
+    /** @type {Record<string, HTMLElement>} */
+    const fields = { country: this.refs.countrySearch, province: this.refs.province, zip: this.refs.zip };
+
+    return Object.entries(errors)
+      .map(([field, messages]) => {
+        const label = fields[field] ? this.querySelector(`label[for="${fields[field].id}"]`)?.textContent : null;
+        const message = [messages].flat().join(', ');
+
+        return label ? `${label.trim()} ${message}` : message;
+      })
+      .join('. ');
+  }
+
+  /**
+   * Gets the address entered, if a country is selected.
+   * @returns {ShippingAddress | null} The address.
+   */
+  get #address() {
+    const country = this.#selectedCountry?.dataset.value;
+    if (!country) return null;
+
+    return {
+      country,
+      province: this.refs.provinceField.hidden ? '' : this.refs.province.value,
+      zip: this.refs.zip.value.trim(),
+    };
+  }
+
+  /**
+   * Renders the country list from the country options.
+   */
+  #renderCountries() {
+    const idPrefix = this.refs.countryList.id;
+
+    this.#countryItems = Array.from(this.refs.countryOptions.options)
+      .filter((option) => option.value && option.value !== '---')
+      .map((option, index) => {
+        const item = document.createElement('li');
+        item.id = `${idPrefix}-${index}`;
+        item.className = 'shipping-estimator__country-option';
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', 'false');
+        item.setAttribute('tabindex', '-1');
+        item.setAttribute('on:click', '/selectCountry');
+        item.dataset.value = option.value;
+        item.dataset.label = option.textContent?.trim() ?? option.value;
+        item.dataset.provinces = option.dataset.provinces ?? '[]';
+
+        const label = document.createElement('span');
+        label.className = 'country';
+        label.textContent = item.dataset.label;
+        item.append(label);
+
+        return item;
+      });
+
+    this.refs.countryList.replaceChildren(...this.#countryItems);
+  }
+
+  /**
+   * Fills in the remembered address, or the country of the store localization.
+   */
+  #restoreAddress() {
+    const address = readAddress();
+    const country = address?.country ?? this.dataset.defaultCountry;
+    const countryItem = this.#countryItems.find(
+      (item) => item.dataset.value === country || item.dataset.label === country
+    );
+
+    if (countryItem) this.#selectCountry(countryItem, address?.province);
+    if (address) this.refs.zip.value = address.zip;
+  }
+}
+
+/**
+ * Reads the last address estimated.
+ * @returns {ShippingAddress | null} The address.
+ */
+function readAddress() {
+  try {
+    const address = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? 'null');
+    return address && typeof address.country === 'string' ? address : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Gets the shipping rates of the cart for an address, sharing the request in flight for the same address.
+ * @param {ShippingAddress} address - The address.
+ * @returns {Promise<ShippingRate[]>} The shipping rates.
+ */
+function getShippingRates(address) {
+  const query = new URLSearchParams({
+    'shipping_address[country]': address.country,
+    'shipping_address[province]': address.province,
+    'shipping_address[zip]': address.zip,
+  }).toString();
+
+  let request = pendingRates.get(query);
+
+  if (!request) {
+    request = fetchShippingRates(query).finally(() => {
+      if (pendingRates.get(query) === request) pendingRates.delete(query);
+    });
+    pendingRates.set(query, request);
+  }
+
+  return request;
+}
+
+/**
+ * Starts the calculation of the shipping rates, and polls until they're calculated.
+ * @param {string} query - The address query.
+ * @returns {Promise<ShippingRate[]>} The shipping rates.
+ */
+async function fetchShippingRates(query) {
+  const headers = { Accept: 'application/json' };
+  const prepareResponse = await fetch(`${Theme.routes.cart_url}/prepare_shipping_rates.json?${query}`, {
+    method: 'POST',
+    headers,
+  });
+
+  if (!prepareResponse.ok) throw await getResponseError(prepareResponse);
+
+  for (let poll = 0; poll < MAX_POLLS; poll++) {
+    const response = await fetch(`${Theme.routes.cart_url}/async_shipping_rates.json?${query}`, { headers });
+    if (!response.ok) throw await getResponseError(response);
+
+    // The rates are null until they're calculated
+    const data = response.status === 202 ? null : await response.json();
+    if (Array.isArray(data?.shipping_rates)) return data.shipping_rates;
+
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL));
+  }
+
+  throw new Error('Shipping rates timed out');
+}
+
+/**
+ * Gets the error of a failed shipping rates response.
+ * @param {Response} response - The response.
+ * @returns {Promise<Error>} The error, with the messages by address field if there are any.
+ */
+async function getResponseError(response) {
+  const data = await response.json().catch(() => null);
+
+  if (data && typeof data === 'object') return new ShippingRatesError(data);
+
+  return new Error(`Server returned ${response.status}`);
+}
+
+/**
+ * Formats a delivery range, e.g. "Jan 2 – 5".
+ * @param {[string, string]} range - The earliest and latest delivery dates, e.g. "2025-01-02".
+ * @returns {string} The delivery range.
+ */
+function formatDeliveryRange([start, end]) {
+  const format = new Intl.DateTimeFormat(document.documentElement.lang || undefined, {
+    month: 'short',
+    day: 'numeric',
+  });
+
+  // The dates have no time zone, they're parsed as local dates so they aren't shifted by a day
+  const [startDate, endDate] = [start, end].map((date) => {
+    const [year = 0, month = 1, day = 1] = date.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  });
+
+  if (!startDate || !endDate) return '';
+
+  if (start === end) return format.format(startDate);
+
+  // `formatRange` isn't part of the ES2020 types the theme is checked against
+  const rangeFormat = /** @type {{ formatRange?: (startDate: Date, endDate: Date) => string }} */ (format);
+
+  return rangeFormat.formatRange?.(startDate, endDate) ?? `${format.format(startDate)} – ${format.format(endDate)}`;
+}
+
+if (!customElements.get('cart-shipping-estimator')) {
+  customElements.define('cart-shipping-estimator', CartShippingEstimator);
+}
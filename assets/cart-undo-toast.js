@@ -0,0 +1,129 @@
+import { Component } from '@theme/component';
+import { NotificationEvent, ThemeEvents } from '@theme/events';
+import { cartStore, CartError, getCartSectionIds } from '@theme/cart';
+import { BUNDLE_PARENT_PROPERTY } from '@theme/bundle-rules';
+import { parseIntOrDefault } from '@theme/utilities';
+
+/** @typedef {import('./events').RemovedCartLine} RemovedCartLine */
+/** @typedef {import('./events').CartLineRemoveEvent} CartLineRemoveEvent */
+
+/** @type {Set<CartUndoToast>} */
+const toasts = new Set();
+
+/**
+ * A custom element offering to undo the cart line removals, for the time set in the theme settings. Each removal
+ * shows a message with an Undo button in the toast region, which announces it.
+ *
+ * @extends {Component}
+ */
+class CartUndoToast extends Component {
+  connectedCallback() {
+    super.connectedCallback();
+
+    toasts.add(this);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    toasts.delete(this);
+  }
+
+  /**
+   * Shows the toast offering to undo a removal, for the undo duration.
+   * @param {RemovedCartLine[]} lines - The removed line, followed by the bundle lines removed with it
+   */
+  offerUndo(lines) {
+    const title = lines[0]?.title;
+    if (title === undefined) return;
+
+    this.dispatchEvent(
+      new NotificationEvent((this.dataset.message ?? '').replace('[title]', title), {
+        duration: this.duration,
+        action: { label: this.dataset.undoLabel ?? '', callback: () => this.undo(lines) },
+      })
+    );
+  }
+
+  /**
+   * Adds removed lines back to the cart, at the position of the removed line.
+   * The Cart API adds lines at the top of the cart, so the lines that sat above it are moved back on top.
+   * @param {RemovedCartLine[]} lines - The removed line, followed by the bundle lines removed with it
+   */
+  async undo(lines) {
+    const [line, ...bundleLines] = lines;
+    if (!line) return;
+
+    /** @type {import('./cart').CartRequestOptions} */
+    const options = {
+      sections: getCartSectionIds(),
+      source: 'cart-undo-toast',
+      sourceId: this.id,
+      silent: true,
+    };
+
+    try {
+      const { items } = await cartStore.get();
+      const linesAbove = items.slice(0, Math.max(line.position - 1, 0));
+
+      let response = await cartStore.add({ items: [toCartItem(line)] }, options);
+
+      const parentKey = response.data.items?.[0]?.key;
+      if (parentKey && bundleLines.length > 0) {
+        response = await cartStore.add(
+          { items: bundleLines.map((bundleLine) => toCartItem(bundleLine, parentKey)) },
+          options
+        );
+      }
+
+      response = (await cartStore.moveToTop(linesAbove, options)) ?? response;
+
+      cartStore.notify('update', response, { ...options, silent: false });
+    } catch (error) {
+      if (error instanceof CartError) {
+        this.dispatchEvent(new NotificationEvent(error.message, { type: 'error' }));
+      } else {
+        console.error(error);
+      }
+
+      // The main line may have been added back before the bundle lines or the lines above it failed
+      cartStore.refresh({ ...options, silent: false });
+    }
+  }
+
+  /**
+   * How long a removal can be undone, in milliseconds.
+   * @returns {number}
+   */
+  get duration() {
+    return parseIntOrDefault(this.dataset.duration, 0) * 1000;
+  }
+}
+
+/**
+ * Gets the cart item to add for a removed line.
+ * @param {RemovedCartLine} line - The removed line.
+ * @param {string} [parentKey] - The new key of the line the bundle line was added with.
+ * @returns {{ id: number, quantity: number, properties: Record<string, string>, selling_plan?: number }} The item.
+ */
+function toCartItem(line, parentKey) {
+  const properties = parentKey ? { ...line.properties, [BUNDLE_PARENT_PROPERTY]: parentKey } : line.properties;
+
+  return {
+    id: line.variantId,
+    quantity: line.quantity,
+    properties,
+    ...(line.sellingPlanId ? { selling_plan: line.sellingPlanId } : {}),
+  };
+}
+
+document.addEventListener(ThemeEvents.cartLineRemove, (event) => {
+  const [toast] = toasts;
+  if (!toast?.duration) return;
+
+  toast.offerUndo(/** @type {CartLineRemoveEvent} */ (event).detail.lines);
+});
+
+if (!customElements.get('cart-undo-toast')) {
+  customElements.define('cart-undo-toast', CartUndoToast);
+}
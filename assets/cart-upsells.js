@@ -0,0 +1,158 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { BUNDLE_PARENT_PROPERTY } from '@theme/bundle-rules';
+
+/**
+ * The properties of the lines added along with another line, by bundle rules or cart rewards.
+ * Their recommendations aren't shown, as they weren't picked by the buyer.
+ */
+const LINKED_LINE_PROPERTIES = [BUNDLE_PARENT_PROPERTY, '_cart_reward'];
+
+/**
+ * The recommendations by URL, shared by the upsells rendered over time as the drawer content is replaced.
+ * The products in the cart are filtered out after loading, so the cache stays valid as the cart changes.
+ * @type {Map<string, string>}
+ */
+const cachedRecommendations = new Map();
+
+/**
+ * A custom element that shows the complementary products of the line most recently added to the cart, in the
+ * cart drawer. The recommendations are loaded once the drawer opens, and refreshed when the cart changes.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} content - The recommended products.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartUpsells extends Component {
+  requiredRefs = ['content'];
+
+  /**
+   * Loads the recommendations once the upsells are about to be seen.
+   * @type {IntersectionObserver}
+   */
+  #intersectionObserver = new IntersectionObserver(
+    (entries, observer) => {
+      if (!entries[0]?.isIntersecting) return;
+
+      observer.disconnect();
+      this.#inView = true;
+      this.#loadRecommendations();
+    },
+    { rootMargin: '0px 0px 400px 0px' }
+  );
+
+  /**
+   * Whether the upsells were seen, after which they're refreshed on every cart change
+   */
+  #inView = false;
+
+  /**
+   * An abort controller for the active fetch (if there is one)
+   * @type {AbortController | null}
+   */
+  #activeFetch = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // The upsells are hidden until they're loaded, so the drawer content around them is observed instead
+    this.#intersectionObserver.observe(this.parentElement ?? this);
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#intersectionObserver.disconnect();
+    this.#activeFetch?.abort();
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
+  /**
+   * Follows the line most recently added, and the products in the cart.
+   * @param {import('./events').CartUpdateEvent | import('./events').CartAddEvent} event - The cart event.
+   */
+  #handleCartUpdate = (event) => {
+    const cart = /** @type {import('./cart').Cart | undefined} */ (event.detail.resource);
+    if (!cart || !Array.isArray(cart.items)) return;
+
+    // New lines are added at the top of the cart
+    const latestItem = cart.items.find(
+      (item) => !LINKED_LINE_PROPERTIES.some((property) => item.properties?.[property])
+    );
+
+    this.dataset.productId = latestItem ? latestItem.product_id.toString() : '';
+    this.dataset.cartProductIds = cart.items.map((item) => item.product_id).join(',');
+
+    if (this.#inView) this.#loadRecommendations();
+  };
+
+  /**
+   * Loads the recommendations of the product, leaving out the products in the cart.
+   */
+  async #loadRecommendations() {
+    const { productId, url, limit } = this.dataset;
+
+    if (!productId || !url) {
+      this.hidden = true;
+      return;
+    }
+
+    try {
+      const html = await this.#fetchCachedRecommendations(`${url}&product_id=${productId}`);
+      if (html === null || productId !== this.dataset.productId) return;
+
+      const cartProductIds = new Set(this.dataset.cartProductIds?.split(','));
+      const recommendations = new DOMParser().parseFromString(html, 'text/html').querySelector('cart-upsells');
+      const list = recommendations?.querySelector('.cart-upsells__list');
+      const items = Array.from(list?.children ?? []).filter(
+        (item) => item instanceof HTMLElement && !cartProductIds.has(item.dataset.productId ?? '')
+      );
+
+      if (!list || items.length === 0) {
+        this.hidden = true;
+        return;
+      }
+
+      list.replaceChildren(...items.slice(0, Number(limit) || items.length));
+      this.refs.content.replaceChildren(list);
+      this.hidden = false;
+    } catch (error) {
+      console.error('Cart upsells error:', error);
+      this.hidden = true;
+    }
+  }
+
+  /**
+   * Fetches the recommendations and caches the result for future use
+   * @param {string} url - The recommendations URL
+   * @returns {Promise<string | null>} The HTML, or null if the fetch was aborted by a later one
+   */
+  async #fetchCachedRecommendations(url) {
+    const cachedResponse = cachedRecommendations.get(url);
+    if (cachedResponse !== undefined) return cachedResponse;
+
+    this.#activeFetch?.abort();
+    const activeFetch = new AbortController();
+    this.#activeFetch = activeFetch;
+
+    try {
+      const response = await fetch(url, { signal: activeFetch.signal });
+      if (!response.ok) throw new Error(`Server returned ${response.status}`);
+
+      const text = await response.text();
+      cachedRecommendations.set(url, text);
+      return text;
+    } catch (error) {
+      if (error instanceof DOMException && error.name === 'AbortError') return null;
+      throw error;
+    } finally {
+      if (this.#activeFetch === activeFetch) this.#activeFetch = null;
+    }
+  }
+}
+
+if (!customElements.get('cart-upsells')) {
+  customElements.define('cart-upsells', CartUpsells);
+}
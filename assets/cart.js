@@ -0,0 +1,672 @@
+import { CartAddEvent, CartDetailsSaveEvent, CartUpdateEvent } from '@theme/events';
+import { fetchConfig, requestIdleCallback } from '@theme/utilities';
+
+/**
+ * The cart store is the single source of truth for the cart on the storefront.
+ *
+ * It keeps the last known cart JSON, and runs every add, change, update and clear request through one queue, in
+ * the order they were made, so rapid changes from different components can't race. A request that hasn't started
+ * yet is merged with the next one when they can be combined, e.g. several quantity changes of the same line.
+ *
+ * Once a request completes, the store dispatches a `CartUpdateEvent` (`CartAddEvent` for adds) with the
+ * authoritative cart as the resource, and its item count as `data.itemCount`.
+ *
+ * Cart changes are broadcast to the other tabs of the storefront, which dispatch a `CartUpdateEvent` with
+ * `data.source` set to `SYNC_SOURCE` and no sections, so components re-render with the Section Rendering API.
+ *
+ * The note and attributes saved with `saveDetails` are kept in the local storage until they're saved, and sent
+ * again when the browser is back online or on the next page visited.
+ * @module cart
+ */
+
+/**
+ * The source of the cart events dispatched for changes made in another tab.
+ */
+export const SYNC_SOURCE = 'cart-sync';
+
+/**
+ * The name of the channel cart changes are broadcast on.
+ */
+const SYNC_CHANNEL_NAME = 'theme:cart';
+
+/**
+ * The local storage key of the last cart change, used by browsers without `BroadcastChannel`, and to catch up
+ * with the changes made while the page was in the back/forward cache.
+ */
+const SYNC_STORAGE_KEY = 'theme:cart-sync';
+
+/**
+ * The local storage key of the note and attributes that weren't saved yet.
+ */
+const PENDING_DETAILS_STORAGE_KEY = 'theme:cart-pending-details';
+
+/**
+ * @typedef {Object} CartItem
+ * @property {string} key - The line item key
+ * @property {number} id - The variant ID
+ * @property {number} variant_id - The variant ID
+ * @property {number} product_id - The product ID
+ * @property {string} handle - The product handle
+ * @property {string} product_title - The product title
+ * @property {number} quantity - The quantity
+ * @property {number} final_line_price - The line price after discounts, in minor units
+ * @property {Record<string, string>} properties - The line item properties
+ * @property {{ selling_plan: { id: number } } | null} [selling_plan_allocation] - The selling plan of the line
+ */
+
+/**
+ * @typedef {Object} Cart
+ * @property {string} token - The cart token
+ * @property {number} item_count - The number of items
+ * @property {number} total_price - The total price in minor units
+ * @property {string | null} note - The cart note
+ * @property {Record<string, string>} attributes - The cart attributes
+ * @property {CartItem[]} items - The line items
+ * @property {Array<{ code: string, applicable: boolean }>} [discount_codes] - The discount codes
+ */
+
+/**
+ * @typedef {Object} CartDetails
+ * @property {string} [note] - The cart note
+ * @property {Record<string, string>} [attributes] - The cart attributes
+ */
+
+/**
+ * @typedef {Object} CartRequestOptions
+ * @property {string[]} [sections] - The sections to render in the response
+ * @property {string} [sectionsUrl] - The page to render the sections for, the current page by default
+ * @property {string} [source] - The source of the request, passed on as `data.source` in the event
+ * @property {string} [sourceId] - The id of the element the request was made from
+ * @property {EventTarget} [target] - The element to dispatch the event from, the document by default
+ * @property {Record<string, unknown>} [eventData] - Additional event data
+ * @property {boolean} [silent] - Skips the event, for changes that don't affect the items, like the cart note
+ */
+
+/**
+ * @typedef {Object} CartResponse
+ * @property {Cart} cart - The cart once the request completed
+ * @property {Record<string, any>} data - The response of the cart API, e.g. the added items for an add
+ * @property {Record<string, string>} sections - The rendered sections
+ */
+
+/**
+ * @typedef {Object} CartSyncMessage
+ * @property {Cart} cart - The cart after the change
+ * @property {number} timestamp - When the change was made, in milliseconds since the epoch
+ */
+
+/**
+ * @typedef {Object} CartRequest
+ * @property {'add' | 'change' | 'update' | 'clear' | 'get'} type - The type of request
+ * @property {string | null} mergeKey - Requests with the same key can be merged, null if they can't
+ * @property {Record<string, any> | FormData} body - The request body, without the sections
+ * @property {Set<string>} sections - The sections to render
+ * @property {string} sectionsUrl - The page to render the sections for
+ * @property {CartRequestOptions} options - The options of the latest merged request that isn't silent
+ * @property {Array<{ resolve: (response: CartResponse) => void, reject: (error: unknown) => void }>} callbacks - The
+ * callbacks of the merged requests
+ */
+
+/**
+ * An error response from the cart API, e.g. when adding more than the available quantity.
+ */
+export class CartError extends Error {
+  /**
+   * @param {{ status?: number, message?: string, description?: string, errors?: any }} data - The error response
+   */
+  constructor(data) {
+    super(data.description || data.message || (typeof data.errors === 'string' ? data.errors : 'Cart error'));
+
+    this.name = 'CartError';
+    this.status = data.status;
+    this.description = data.description ?? (typeof data.errors === 'string' ? data.errors : undefined);
+    this.errors = data.errors;
+    this.data = data;
+  }
+}
+
+class CartStore {
+  /**
+   * The last known cart
+   * @type {Cart | null}
+   */
+  #cart = null;
+
+  /**
+   * The requests waiting for their turn
+   * @type {CartRequest[]}
+   */
+  #queue = [];
+
+  /**
+   * Whether the queue is being processed
+   */
+  #processing = false;
+
+  /**
+   * The channel cart changes are broadcast on, null when `BroadcastChannel` isn't supported
+   * @type {BroadcastChannel | null}
+   */
+  #channel = null;
+
+  /**
+   * When the last cart change known to this page was made, in milliseconds since the epoch
+   */
+  #syncedAt = Date.now();
+
+  constructor() {
+    if (typeof BroadcastChannel === 'function') {
+      this.#channel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+      this.#channel.addEventListener('message', (event) => this.#receive(event.data));
+    } else {
+      window.addEventListener('storage', (event) => {
+        if (event.key === SYNC_STORAGE_KEY) this.#receive(readSyncMessage(event.newValue));
+      });
+    }
+
+    // Messages aren't delivered while the page is in the back/forward cache
+    window.addEventListener('pageshow', (event) => {
+      if (event.persisted) this.#receive(readSyncMessage(getStoredSyncMessage()));
+    });
+
+    // The details that couldn't be saved before are sent again
+    window.addEventListener('online', () => this.#sendPendingDetails());
+    if (readPendingDetails()) requestIdleCallback(() => this.#sendPendingDetails());
+  }
+
+  /**
+   * The last known cart, or null if no request completed yet.
+   * @returns {Cart | null}
+   */
+  get cart() {
+    return this.#cart;
+  }
+
+  /**
+   * Gets the cart, once the pending requests complete. Uses the last known cart when the queue is idle.
+   * @returns {Promise<Cart>} The cart
+   */
+  async get() {
+    if (this.#cart && !this.#processing) return this.#cart;
+
+    const { cart } = await this.#enqueue('get', 'get', {}, {});
+    return cart;
+  }
+
+  /**
+   * Fetches the cart and dispatches a `CartUpdateEvent`, e.g. after a failed request that may have changed the cart.
+   * @param {CartRequestOptions} [options] - The options
+   * @returns {Promise<CartResponse>} The response
+   */
+  refresh(options = {}) {
+    return this.#enqueue('get', null, {}, options);
+  }
+
+  /**
+   * Adds items to the cart.
+   * @param {FormData | { items: Array<{ id: number | string, quantity: number, properties?: Record<string, string>,
+   * selling_plan?: number }> }} body - The product form data, or the items to add
+   * @param {CartRequestOptions} [options] - The options
+   * @returns {Promise<CartResponse>} The response, with the added items as `data`
+   */
+  add(body, options = {}) {
+    return this.#enqueue('add', null, body, options);
+  }
+
+  /**
+   * Changes the quantity or properties of a line. Pending changes of the same line are merged.
+   * @param {{ line?: number, id?: string, quantity?: number, properties?: Record<string, string> }} body - The change
+   * @param {CartRequestOptions} [options] - The options
+   * @returns {Promise<CartResponse>} The response
+   */
+  change(body, options = {}) {
+    return this.#enqueue('change', `change:${body.line ?? body.id}`, body, options);
+  }
+
+  /**
+   * Updates quantities, attributes, the note or discount codes. Pending updates are merged.
+   * @param {{ updates?: Record<string, number>, attributes?: Record<string, string>, note?: string, discount?: string }} body -
+   * The update
+   * @param {CartRequestOptions} [options] - The options
+   * @returns {Promise<CartResponse>} The response
+   */
+  update(body, options = {}) {
+    return this.#enqueue('update', 'update', body, options);
+  }
+
+  /**
+   * Saves the note or attributes of the cart, without dispatching a cart event. They're kept in the local storage
+   * until they're saved, so a failed request or an offline browser doesn't lose them.
+   * @param {CartDetails} details - The note or attributes
+   * @returns {Promise<boolean>} Whether the details were saved, false if they'll be sent again later
+   */
+  saveDetails(details) {
+    const pendingDetails = mergeDetails(readPendingDetails() ?? {}, details);
+
+    writePendingDetails(pendingDetails);
+    return this.#sendPendingDetails(pendingDetails);
+  }
+
+  /**
+   * The note and attributes waiting to be saved, which win over the ones rendered with the cart.
+   * @returns {CartDetails}
+   */
+  get pendingDetails() {
+    return readPendingDetails() ?? {};
+  }
+
+  /**
+   * Removes every item from the cart.
+   * @param {CartRequestOptions} [options] - The options
+   * @returns {Promise<CartResponse>} The response
+   */
+  clear(options = {}) {
+    return this.#enqueue('clear', 'clear', {}, options);
+  }
+
+  /**
+   * Moves lines to the top of the cart, in the given order, by removing them and adding them back one by one.
+   * The Cart API adds lines at the top of the cart, so moving the lines that sat above an added line puts it back
+   * at its position. Lines that fail to be added back are added again together before the error is thrown.
+   * @param {CartItem[]} lines - The lines to move, in the cart order
+   * @param {CartRequestOptions} [options] - The options, sent with `silent` as the caller notifies the whole change
+   * @returns {Promise<CartResponse | null>} The response of the last request, null if there were no lines
+   */
+  async moveToTop(lines, options = {}) {
+    if (lines.length === 0) return null;
+
+    const requestOptions = { ...options, silent: true };
+    const updates = Object.fromEntries(lines.map((line) => [line.key, 0]));
+    // The last line is added first, so the first one ends up on top
+    const items = lines.map(toCartItem).reverse();
+    let added = 0;
+
+    let response = await this.update({ updates }, requestOptions);
+
+    try {
+      for (const item of items) {
+        response = await this.add({ items: [item] }, requestOptions);
+        added += 1;
+      }
+    } catch (error) {
+      const remaining = items.slice(added);
+      if (remaining.length > 0) await this.add({ items: remaining }, requestOptions).catch(() => {});
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * Dispatches the cart event of a response, for actions made of several requests sent with `silent`,
+   * e.g. adding a product and then the items linked to its line.
+   * @param {'add' | 'update'} type - Whether items were added, dispatching a `CartAddEvent`
+   * @param {CartResponse} response - The response of the last request
+   * @param {CartRequestOptions} [options] - The options
+   */
+  notify(type, response, options = {}) {
+    this.#dispatchEvent(type === 'add' ? CartAddEvent : CartUpdateEvent, response, options);
+  }
+
+  /**
+   * Sends the details waiting to be saved, dispatching a `CartDetailsSaveEvent` as the save starts and ends.
+   * @param {CartDetails | null} [fallback] - The details to send when the local storage can't be read
+   * @returns {Promise<boolean>} Whether the details were saved
+   */
+  async #sendPendingDetails(fallback = null) {
+    const details = readPendingDetails() ?? fallback;
+    if (!details) return true;
+
+    document.dispatchEvent(new CartDetailsSaveEvent('saving', details));
+
+    if (!navigator.onLine) {
+      document.dispatchEvent(new CartDetailsSaveEvent('failed', details));
+      return false;
+    }
+
+    try {
+      // Pending updates are merged by the queue, so only the latest details are sent
+      await this.update(details, { silent: true });
+
+      // Details changed while the request was pending stay for the next save
+      writePendingDetails(removeSavedDetails(readPendingDetails() ?? {}, details));
+      document.dispatchEvent(new CartDetailsSaveEvent('saved', details));
+      return true;
+    } catch (error) {
+      console.error(error);
+      document.dispatchEvent(new CartDetailsSaveEvent('failed', details));
+      return false;
+    }
+  }
+
+  /**
+   * Queues a request, merging it with the last queued request when possible.
+   * @param {CartRequest['type']} type - The type of request
+   * @param {string | null} mergeKey - The merge key
+   * @param {Record<string, any> | FormData} body - The request body
+   * @param {CartRequestOptions} options - The options
+   * @returns {Promise<CartResponse>} The response
+   */
+  #enqueue(type, mergeKey, body, options) {
+    const sectionsUrl = options.sectionsUrl ?? window.location.pathname;
+
+    return new Promise((resolve, reject) => {
+      const last = this.#queue[this.#queue.length - 1];
+
+      if (last && mergeKey && last.mergeKey === mergeKey && last.sectionsUrl === sectionsUrl) {
+        last.body = mergeBodies(last.body, body);
+        // The event is dispatched with the options of the latest request that isn't silent
+        if (!options.silent || last.options.silent) last.options = options;
+        options.sections?.forEach((section) => last.sections.add(section));
+        last.callbacks.push({ resolve, reject });
+        return;
+      }
+
+      this.#queue.push({
+        type,
+        mergeKey,
+        body,
+        sections: new Set(options.sections),
+        sectionsUrl,
+        options,
+        callbacks: [{ resolve, reject }],
+      });
+
+      this.#processQueue();
+    });
+  }
+
+  /**
+   * Runs the queued requests one after the other.
+   */
+  async #processQueue() {
+    if (this.#processing) return;
+    this.#processing = true;
+
+    let request;
+    while ((request = this.#queue.shift())) {
+      try {
+        const response = await this.#send(request);
+
+        if (request.type !== 'get') this.#broadcast(response.cart);
+        this.#dispatch(request, response);
+        request.callbacks.forEach(({ resolve }) => resolve(response));
+      } catch (error) {
+        request.callbacks.forEach(({ reject }) => reject(error));
+      }
+    }
+
+    this.#processing = false;
+  }
+
+  /**
+   * Sends a request to the cart API.
+   * @param {CartRequest} request - The request
+   * @returns {Promise<CartResponse>} The response
+   */
+  async #send(request) {
+    if (request.type === 'get') {
+      const cart = await this.#fetchCart();
+      return { cart, data: cart, sections: {} };
+    }
+
+    const url = {
+      add: Theme.routes.cart_add_url,
+      change: Theme.routes.cart_change_url,
+      update: Theme.routes.cart_update_url,
+      clear: Theme.routes.cart_clear_url,
+    }[request.type];
+
+    const sections = Array.from(request.sections).join(',');
+    let config;
+
+    if (request.body instanceof FormData) {
+      const formData = request.body;
+      if (sections) {
+        formData.set('sections', sections);
+        formData.set('sections_url', request.sectionsUrl);
+      }
+
+      config = fetchConfig('javascript', { body: formData });
+    } else {
+      const body = sections ? { ...request.body, sections, sections_url: request.sectionsUrl } : request.body;
+      config = fetchConfig('json', { body: JSON.stringify(body) });
+    }
+
+    const response = await fetch(url, config);
+    const data = await response.json();
+
+    if (data.status || data.errors) throw new CartError(data);
+
+    const { sections: renderedSections = {}, ...responseData } = data;
+
+    // Adds only respond with the added items
+    const cart = request.type === 'add' ? await this.#fetchCart() : /** @type {Cart} */ (responseData);
+    this.#cart = cart;
+
+    return { cart, data: responseData, sections: renderedSections ?? {} };
+  }
+
+  /**
+   * Fetches the cart.
+   * @returns {Promise<Cart>} The cart
+   */
+  async #fetchCart() {
+    const response = await fetch(`${Theme.routes.cart_url}.js`, { headers: { Accept: 'application/json' } });
+    if (!response.ok) throw new Error(`HTTP error ${response.status}`);
+
+    this.#cart = await response.json();
+    return /** @type {Cart} */ (this.#cart);
+  }
+
+  /**
+   * Sends a cart change to the other tabs.
+   * @param {Cart} cart - The cart after the change
+   */
+  #broadcast(cart) {
+    /** @type {CartSyncMessage} */
+    const message = { cart, timestamp: Date.now() };
+    this.#syncedAt = message.timestamp;
+
+    this.#channel?.postMessage(message);
+
+    try {
+      localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify(message));
+    } catch (_) {
+      // The storage may be full or disabled, other tabs then only sync through the channel
+    }
+  }
+
+  /**
+   * Applies a cart change made in another tab.
+   * @param {CartSyncMessage | null} message - The message
+   */
+  #receive(message) {
+    if (!message?.cart || message.timestamp <= this.#syncedAt) return;
+
+    this.#syncedAt = message.timestamp;
+    this.#cart = message.cart;
+
+    document.dispatchEvent(
+      new CartUpdateEvent(message.cart, '', { source: SYNC_SOURCE, itemCount: message.cart.item_count })
+    );
+  }
+
+  /**
+   * Dispatches the cart event of a completed request.
+   * @param {CartRequest} request - The request
+   * @param {CartResponse} response - The response
+   */
+  #dispatch(request, response) {
+    const { options } = request;
+
+    // Reading the cart isn't an update, unless the cart is refreshed
+    if (options.silent || (request.type === 'get' && request.mergeKey)) return;
+
+    this.#dispatchEvent(request.type === 'add' ? CartAddEvent : CartUpdateEvent, response, options);
+  }
+
+  /**
+   * Dispatches a cart event with the authoritative cart.
+   * @param {typeof CartAddEvent | typeof CartUpdateEvent} EventClass - The event class
+   * @param {CartResponse} response - The response
+   * @param {CartRequestOptions} options - The options
+   */
+  #dispatchEvent(EventClass, response, options) {
+    const target = options.target ?? document;
+
+    target.dispatchEvent(
+      new EventClass(response.cart, options.sourceId ?? '', {
+        ...options.eventData,
+        source: options.source,
+        itemCount: response.cart.item_count,
+        sections: response.sections,
+      })
+    );
+  }
+}
+
+/**
+ * Merges the body of a request into the body of a queued request of the same kind.
+ * Quantities, attributes and properties are combined, other values are replaced.
+ * @param {Record<string, any> | FormData} queued - The queued request body
+ * @param {Record<string, any> | FormData} next - The next request body
+ * @returns {Record<string, any> | FormData} The merged body
+ */
+function mergeBodies(queued, next) {
+  if (queued instanceof FormData || next instanceof FormData) return next;
+
+  /** @type {Record<string, any>} */
+  const merged = { ...queued, ...next };
+
+  for (const key of ['updates', 'attributes', 'properties']) {
+    if (queued[key] && next[key]) merged[key] = { ...queued[key], ...next[key] };
+  }
+
+  return merged;
+}
+
+/**
+ * Gets the item to add for a line of the cart, with its properties and selling plan.
+ * @param {CartItem} line - The line
+ * @returns {{ id: number, quantity: number, properties: Record<string, string>, selling_plan?: number }} The item
+ */
+function toCartItem(line) {
+  const sellingPlanId = line.selling_plan_allocation?.selling_plan.id;
+
+  return {
+    id: line.variant_id,
+    quantity: line.quantity,
+    properties: line.properties ?? {},
+    ...(sellingPlanId ? { selling_plan: sellingPlanId } : {}),
+  };
+}
+
+/**
+ * Merges note and attribute changes into the details waiting to be saved.
+ * @param {CartDetails} pending - The details waiting to be saved
+ * @param {CartDetails} details - The changes
+ * @returns {CartDetails} The merged details
+ */
+function mergeDetails(pending, details) {
+  /** @type {CartDetails} */
+  const merged = { ...pending };
+
+  if (details.note !== undefined) merged.note = details.note;
+  if (details.attributes) merged.attributes = { ...pending.attributes, ...details.attributes };
+
+  return merged;
+}
+
+/**
+ * Removes the saved values from the details waiting to be saved, keeping the ones changed since.
+ * @param {CartDetails} pending - The details waiting to be saved
+ * @param {CartDetails} saved - The saved details
+ * @returns {CartDetails} The details still waiting to be saved
+ */
+function removeSavedDetails(pending, saved) {
+  /** @type {CartDetails} */
+  const remaining = {};
+
+  if (pending.note !== undefined && pending.note !== saved.note) remaining.note = pending.note;
+
+  const attributes = Object.entries(pending.attributes ?? {}).filter(
+    ([name, value]) => saved.attributes?.[name] !== value
+  );
+  if (attributes.length > 0) remaining.attributes = Object.fromEntries(attributes);
+
+  return remaining;
+}
+
+/**
+ * Reads the details waiting to be saved from the local storage.
+ * @returns {CartDetails | null} The details, or null if there are none
+ */
+function readPendingDetails() {
+  try {
+    const details = JSON.parse(localStorage.getItem(PENDING_DETAILS_STORAGE_KEY) ?? 'null');
+    return details && typeof details === 'object' ? details : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Writes the details waiting to be saved to the local storage, removing them once there are none.
+ * @param {CartDetails} details - The details
+ */
+function writePendingDetails(details) {
+  try {
+    if (details.note === undefined && !details.attributes) {
+      localStorage.removeItem(PENDING_DETAILS_STORAGE_KEY);
+    } else {
+      localStorage.setItem(PENDING_DETAILS_STORAGE_KEY, JSON.stringify(details));
+    }
+  } catch (_) {
+    // The storage may be full or disabled, the details are then only sent once
+  }
+}
+
+/**
+ * Gets the sections of the cart items components of the page, to render them with a cart request.
+ * @returns {string[]} The section ids
+ */
+export function getCartSectionIds() {
+  /** @type {Set<string>} */
+  const sectionIds = new Set();
+
+  for (const component of document.querySelectorAll('cart-items-component')) {
+    if (component instanceof HTMLElement && component.dataset.sectionId) sectionIds.add(component.dataset.sectionId);
+  }
+
+  return Array.from(sectionIds);
+}
+
+/**
+ * Gets the last cart change saved in the local storage.
+ * @returns {string | null} The stored value
+ */
+function getStoredSyncMessage() {
+  try {
+    return localStorage.getItem(SYNC_STORAGE_KEY);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Reads a cart change saved in the local storage.
+ * @param {string | null} value - The stored value
+ * @returns {CartSyncMessage | null} The message, or null if it can't be read
+ */
+function readSyncMessage(value) {
+  if (!value) return null;
+
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return null;
+  }
+}
+
+export const cartStore = new CartStore();
@@ -1,24 +1,46 @@
 import { Component } from '@theme/component';
 import {
-  fetchConfig,
   debounce,
+  parseIntOrDefault,
   onAnimationEnd,
   prefersReducedMotion,
-  resetShimmer,
   startViewTransition,
 } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
 import {
   ThemeEvents,
+  CartCountUpdateEvent,
+  CartLineRemoveEvent,
   CartUpdateEvent,
   QuantitySelectorUpdateEvent,
   CartAddEvent,
   DiscountUpdateEvent,
+  NotificationEvent,
 } from '@theme/events';
+import { formatMoney } from '@theme/money-formatting';
 import { cartPerformance } from '@theme/performance';
+import { cartStore, CartError, SYNC_SOURCE, getCartSectionIds } from '@theme/cart';
+import { savedForLater } from '@theme/saved-for-later';
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
 
+/**
+ * @typedef {Object} OptimisticLine
+ * @property {string} key - The line item key.
+ * @property {HTMLTableRowElement} row - The row.
+ * @property {ParentNode | null} parent - The parent of the row, to restore removed rows.
+ * @property {Element | null} nextSibling - The next sibling of the row, to restore removed rows.
+ * @property {number} quantity - The quantity before the update.
+ * @property {number} linePrice - The line price before the update, in minor units.
+ */
+
+/**
+ * @typedef {Object} OptimisticUpdate
+ * @property {OptimisticLine[]} lines - The changed lines.
+ * @property {number} itemCountDelta - The change of the item count.
+ * @property {number} totalPriceDelta - The change of the total price, in minor units.
+ */
+
 /**
  * A custom element that displays a cart items component.
  *
@@ -26,12 +48,25 @@ import { cartPerformance } from '@theme/performance';
  * @property {HTMLElement[]} quantitySelectors - The quantity selector elements.
  * @property {HTMLTableRowElement[]} cartItemRows - The cart item rows.
  * @property {TextComponent} cartTotal - The cart total.
+ * @property {HTMLElement} [cartItemCount] - The hidden cart item count.
  *
  * @extends {Component<Refs>}
  */
 class CartItemsComponent extends Component {
   #debouncedOnChange = debounce(this.#onQuantityChange, 300).bind(this);
 
+  /**
+   * The number of pending updates by line item key
+   * @type {Map<string, number>}
+   */
+  #pendingLines = new Map();
+
+  /**
+   * The content replaced by the empty cart state while removing the last items
+   * @type {Node[] | null}
+   */
+  #emptiedContent = null;
+
   connectedCallback() {
     super.connectedCallback();
 
@@ -68,12 +103,6 @@ class CartItemsComponent extends Component {
       quantity,
       action: 'change',
     });
-    const lineItemRow = this.refs.cartItemRows[line - 1];
-
-    if (!lineItemRow) return;
-
-    const textComponent = /** @type {TextComponent | undefined} */ (lineItemRow.querySelector('text-component'));
-    textComponent?.shimmer();
   }
 
   /**
@@ -81,20 +110,57 @@ class CartItemsComponent extends Component {
    * @param {number} line - The line item index.
    */
   onLineItemRemove(line) {
-    this.updateQuantity({
+    const row = this.#getRow(line);
+    const removedLines = row ? this.#getRemovedLines(row) : [];
+
+    this.#removeLine(line).then((removed) => {
+      if (removed && removedLines.length > 0) {
+        document.dispatchEvent(new CartLineRemoveEvent(removedLines, this.sectionId));
+      }
+    });
+  }
+
+  /**
+   * Moves a line out of the cart into the items saved for later, once it's removed.
+   * @param {number} line - The line item index.
+   */
+  saveForLater(line) {
+    const row = this.#getRow(line);
+    const [savedLine] = row ? this.#getRemovedLines(row) : [];
+    if (!row?.dataset.handle || !savedLine) return;
+
+    const { handle } = row.dataset;
+    const { variantId, quantity, properties, sellingPlanId, title } = savedLine;
+
+    this.#removeLine(line).then((removed) => {
+      if (removed) savedForLater.add({ handle, title, variantId, quantity, properties, sellingPlanId });
+    });
+  }
+
+  /**
+   * Removes a line and the lines removed with it, animating the rows out.
+   * @param {number} line - The line item index.
+   * @returns {Promise<boolean>} Whether the line was removed.
+   */
+  #removeLine(line) {
+    const removal = this.updateQuantity({
       line,
       quantity: 0,
       action: 'clear',
     });
 
-    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
+    const cartItemRowToRemove = this.#getRow(line);
 
-    if (!cartItemRowToRemove) return;
+    if (!cartItemRowToRemove) return removal;
 
     const rowsToRemove = [
       cartItemRowToRemove,
-      // Get all nested lines of the row to remove
-      ...this.refs.cartItemRows.filter((row) => row.dataset.parentKey === cartItemRowToRemove.dataset.key),
+      // Get all nested lines of the row to remove, including the items added with it by bundle rules
+      ...this.refs.cartItemRows.filter(
+        (row) =>
+          row.dataset.parentKey === cartItemRowToRemove.dataset.key ||
+          row.dataset.bundleParentKey === cartItemRowToRemove.dataset.key
+      ),
     ];
 
     // If the cart item row is the last row, optimistically trigger the cart empty state
@@ -104,16 +170,20 @@ class CartItemsComponent extends Component {
     if (isEmptyCart && template instanceof HTMLTemplateElement) {
       const clone = document.importNode(template.content, true);
 
+      // Kept to restore the items if the removal fails
+      this.#emptiedContent = Array.from(this.childNodes);
+
       startViewTransition(() => {
         this.replaceChildren(clone);
       }, [this.isDrawer ? 'empty-cart-drawer' : 'empty-cart-page']);
 
-      return;
+      return removal;
     }
 
     // Add class to the row to trigger the animation
     rowsToRemove.forEach((row) => {
-      const remove = () => row.remove();
+      // The removal is cancelled when the update fails
+      const remove = () => row.classList.contains('removing') && row.remove();
 
       if (prefersReducedMotion()) return remove();
 
@@ -123,85 +193,73 @@ class CartItemsComponent extends Component {
       // Remove the row after the animation ends
       onAnimationEnd(row, remove);
     });
+
+    return removal;
   }
 
   /**
    * Updates the quantity.
+   * The rows, the total and the cart bubble are updated right away, and rolled back if the update fails.
    * @param {Object} config - The config.
    * @param {number} config.line - The line.
    * @param {number} config.quantity - The quantity.
    * @param {string} config.action - The action.
+   * @returns {Promise<boolean>} Whether the update succeeded.
    */
-  updateQuantity(config) {
+  async updateQuantity(config) {
     const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
 
-    this.#disableCartItems();
-
     const { line, quantity } = config;
-    const { cartTotal } = this.refs;
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    const sectionsToUpdate = new Set([this.sectionId]);
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        sectionsToUpdate.add(item.dataset.sectionId);
-      }
-    });
+    // Line numbers shift as pending removals complete, so the line is changed by its key
+    const key = this.#getRow(line)?.dataset.key;
 
-    const body = JSON.stringify({
-      line: line,
-      quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
-      sections_url: window.location.pathname,
-    });
+    const sectionsToUpdate = new Set([this.sectionId, ...getCartSectionIds()]);
 
-    cartTotal?.shimmer();
+    // Items added by bundle rules follow the quantity of their line, so they're updated together
+    const bundleUpdates = this.#getBundleUpdates(line, quantity);
 
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
-      .then((response) => {
-        return response.text();
-      })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
+    const update = this.#applyOptimisticUpdate(this.#getLineQuantities(line, quantity, bundleUpdates));
 
-        resetShimmer(this);
+    /** @type {import('./cart').CartRequestOptions} */
+    const options = {
+      target: this,
+      sourceId: this.sectionId,
+      source: 'cart-items-component',
+      sections: Array.from(sectionsToUpdate),
+      sectionsUrl: window.location.pathname,
+    };
 
-        if (parsedResponseText.errors) {
-          this.#handleCartError(line, parsedResponseText);
-          return;
-        }
+    try {
+      const { cart, sections } = bundleUpdates
+        ? await cartStore.update({ updates: bundleUpdates }, options)
+        : await cartStore.change(key ? { id: key, quantity } : { line, quantity }, options);
 
-        const newSectionHTML = new DOMParser().parseFromString(
-          parsedResponseText.sections[this.sectionId],
-          'text/html'
-        );
+      this.#emptiedContent = null;
 
-        // Grab the new cart item count from a hidden element
-        const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
-        const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
+      // Update data-cart-quantity for all matching variants
+      this.#updateQuantitySelectors(cart);
 
-        // Update data-cart-quantity for all matching variants
-        this.#updateQuantitySelectors(parsedResponseText);
+      const sectionHTML = sections[this.sectionId];
+      if (sectionHTML) morphSection(this.sectionId, sectionHTML, this.isDrawer ? 'hydration' : 'full');
 
-        this.dispatchEvent(
-          new CartUpdateEvent(parsedResponseText, this.sectionId, {
-            itemCount: newCartItemCount,
-            source: 'cart-items-component',
-            sections: parsedResponseText.sections,
-          })
-        );
+      this.#updateCartQuantitySelectorButtonStates();
 
-        morphSection(this.sectionId, parsedResponseText.sections[this.sectionId], this.isDrawer ? 'hydration' : 'full');
+      return true;
+    } catch (error) {
+      this.#rollBack(update);
 
-        this.#updateCartQuantitySelectorButtonStates();
-      })
-      .catch((error) => {
+      if (error instanceof CartError) {
+        this.#handleCartError(line, error.description ?? error.message);
+      } else {
         console.error(error);
-      })
-      .finally(() => {
-        this.#enableCartItems();
-        cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
-      });
+      }
+
+      return false;
+    } finally {
+      this.#unlockRows(update);
+      cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
+    }
   }
 
   /**
@@ -213,27 +271,16 @@ class CartItemsComponent extends Component {
   };
 
   /**
-   * Handles the cart error.
+   * Handles the cart error: the quantity of the line is reset, and the error shows as a notification.
    * @param {number} line - The line.
-   * @param {Object} parsedResponseText - The parsed response text.
-   * @param {string} parsedResponseText.errors - The errors.
+   * @param {string} message - The error message.
    */
-  #handleCartError = (line, parsedResponseText) => {
-    const quantitySelector = this.refs.quantitySelectors[line - 1];
-    const quantityInput = quantitySelector?.querySelector('input');
-
-    if (!quantityInput) throw new Error('Quantity input not found');
-
-    quantityInput.value = quantityInput.defaultValue;
+  #handleCartError = (line, message) => {
+    this.dispatchEvent(new NotificationEvent(message, { type: 'error' }));
 
-    const cartItemError = this.refs[`cartItemError-${line}`];
-    const cartItemErrorContainer = this.refs[`cartItemErrorContainer-${line}`];
-
-    if (!(cartItemError instanceof HTMLElement)) throw new Error('Cart item error not found');
-    if (!(cartItemErrorContainer instanceof HTMLElement)) throw new Error('Cart item error container not found');
-
-    cartItemError.textContent = parsedResponseText.errors;
-    cartItemErrorContainer.classList.remove('hidden');
+    // Rows restored by the rollback aren't in the refs yet
+    const quantityInput = this.#getRow(line)?.querySelector('input[data-cart-line]');
+    if (quantityInput instanceof HTMLInputElement) quantityInput.value = quantityInput.defaultValue;
   };
 
   /**
@@ -248,6 +295,11 @@ class CartItemsComponent extends Component {
     }
     if (event.target === this) return;
 
+    // Changes made in another tab don't update the quantity selectors of this page otherwise
+    if (event.detail.data.source === SYNC_SOURCE) {
+      this.#updateQuantitySelectors(/** @type {import('./cart').Cart} */ (event.detail.resource));
+    }
+
     const cartItemsHtml = event.detail.data.sections?.[this.sectionId];
     if (cartItemsHtml) {
       morphSection(this.sectionId, cartItemsHtml);
@@ -260,41 +312,286 @@ class CartItemsComponent extends Component {
   };
 
   /**
-   * Disables the cart items.
+   * Gets the row of a line. Rows aren't in line order, items added by bundle rules follow the line that added them.
+   * Read from the DOM, as the refs update after the rows restored by a rollback.
+   * @param {number} line - The line number.
+   * @returns {HTMLTableRowElement | undefined} The row.
+   */
+  #getRow(line) {
+    return this.#rows.find((row) => row.dataset.line === line.toString());
+  }
+
+  /**
+   * Gets the row of a line item.
+   * @param {string} key - The line item key.
+   * @returns {HTMLTableRowElement | undefined} The row.
+   */
+  #getRowByKey(key) {
+    return this.#rows.find((row) => row.dataset.key === key);
+  }
+
+  /**
+   * Gets the cart item rows.
+   * @returns {HTMLTableRowElement[]} The rows.
+   */
+  get #rows() {
+    return Array.from(this.querySelectorAll('tr[ref="cartItemRows[]"]'));
+  }
+
+  /**
+   * Gets the lines removed along with a row, to add them back on undo: the row itself, followed by the items
+   * added with it by bundle rules. Nested lines are left out, they're added back by the app that added them.
+   * @param {HTMLTableRowElement} row - The row to remove.
+   * @returns {import('./events').RemovedCartLine[]} The removed lines.
+   */
+  #getRemovedLines(row) {
+    const rows = [row, ...this.#rows.filter((bundleRow) => bundleRow.dataset.bundleParentKey === row.dataset.key)];
+
+    return rows.map((removedRow) => {
+      const { key = '', variantId, sellingPlanId, line, title = '', properties } = removedRow.dataset;
+
+      return {
+        key,
+        variantId: parseIntOrDefault(variantId, 0),
+        quantity: parseIntOrDefault(removedRow.dataset.quantity, 0),
+        properties: properties ? JSON.parse(properties) : {},
+        sellingPlanId: sellingPlanId ? parseIntOrDefault(sellingPlanId, 0) : null,
+        position: parseIntOrDefault(line, 0),
+        title,
+      };
+    });
+  }
+
+  /**
+   * Gets the new quantity of every line changed along with a line: the items added with it by bundle rules,
+   * and the nested lines removed with it.
+   * @param {number} line - The line number.
+   * @param {number} quantity - The new quantity of the line.
+   * @param {Record<string, number> | null} bundleUpdates - The quantity updates of the bundle items.
+   * @returns {Map<string, number>} The quantities by line item key.
+   */
+  #getLineQuantities(line, quantity, bundleUpdates) {
+    const key = this.#getRow(line)?.dataset.key;
+    if (!key) return new Map();
+
+    const quantities = new Map(Object.entries(bundleUpdates ?? { [key]: quantity }));
+
+    if (quantity === 0) {
+      for (const row of this.#rows) {
+        if (row.dataset.parentKey === key && row.dataset.key) quantities.set(row.dataset.key, 0);
+      }
+    }
+
+    return quantities;
+  }
+
+  /**
+   * Shows the new quantities right away: the line prices are estimated from the unit price, and the total and the
+   * cart bubble follow. The changed rows are locked until the update completes.
+   * @param {Map<string, number>} quantities - The new quantities by line item key.
+   * @returns {OptimisticUpdate} The update, to roll it back.
+   */
+  #applyOptimisticUpdate(quantities) {
+    /** @type {OptimisticUpdate} */
+    const update = { lines: [], itemCountDelta: 0, totalPriceDelta: 0 };
+
+    for (const [key, quantity] of quantities) {
+      const row = this.#getRowByKey(key);
+      if (!row) continue;
+
+      const previousQuantity = parseIntOrDefault(row.dataset.quantity, 0);
+      const previousLinePrice = parseIntOrDefault(row.dataset.linePrice, 0);
+      const linePrice = previousQuantity ? Math.round((previousLinePrice / previousQuantity) * quantity) : 0;
+
+      update.lines.push({
+        key,
+        row,
+        parent: row.parentNode,
+        nextSibling: row.nextElementSibling,
+        quantity: previousQuantity,
+        linePrice: previousLinePrice,
+      });
+      update.itemCountDelta += quantity - previousQuantity;
+      update.totalPriceDelta += linePrice - previousLinePrice;
+
+      this.#renderLine(row, quantity, linePrice);
+
+      this.#pendingLines.set(key, (this.#pendingLines.get(key) ?? 0) + 1);
+      row.setAttribute('aria-busy', 'true');
+    }
+
+    if (update.lines.length === 0) return update;
+
+    const { itemCount, totalPrice } = this.#getTotals();
+    this.#renderTotals(itemCount + update.itemCountDelta, totalPrice + update.totalPriceDelta);
+
+    return update;
+  }
+
+  /**
+   * Rolls back a failed update to the last known cart, restoring the removed rows.
+   * @param {OptimisticUpdate} update - The update.
+   */
+  #rollBack({ lines, itemCountDelta, totalPriceDelta }) {
+    if (this.#emptiedContent) {
+      this.replaceChildren(...this.#emptiedContent);
+      this.#emptiedContent = null;
+    }
+
+    const { cart } = cartStore;
+
+    // Restored in reverse order, so the next sibling of each row is back in place
+    for (const line of [...lines].reverse()) {
+      const { key, row, parent, nextSibling } = line;
+      const item = cart?.items.find((cartItem) => cartItem.key === key);
+
+      row.classList.remove('removing');
+      if (parent && row.parentNode !== parent) {
+        parent.insertBefore(row, nextSibling?.parentNode === parent ? nextSibling : null);
+      }
+
+      this.#renderLine(row, item?.quantity ?? line.quantity, item?.final_line_price ?? line.linePrice);
+
+      row.classList.add('rolling-back');
+      onAnimationEnd(row, () => row.classList.remove('rolling-back'));
+    }
+
+    const { itemCount, totalPrice } = this.#getTotals();
+    this.#renderTotals(
+      cart?.item_count ?? itemCount - itemCountDelta,
+      cart?.total_price ?? totalPrice - totalPriceDelta
+    );
+  }
+
+  /**
+   * Unlocks the rows of an update, unless they have other pending updates.
+   * @param {OptimisticUpdate} update - The update.
+   */
+  #unlockRows({ lines }) {
+    for (const { key } of lines) {
+      const pending = (this.#pendingLines.get(key) ?? 1) - 1;
+
+      if (pending > 0) {
+        this.#pendingLines.set(key, pending);
+        continue;
+      }
+
+      this.#pendingLines.delete(key);
+      this.#getRowByKey(key)?.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * Renders the quantity and price of a row.
+   * @param {HTMLTableRowElement} row - The row.
+   * @param {number} quantity - The quantity.
+   * @param {number} linePrice - The line price, in minor units.
    */
-  #disableCartItems() {
-    this.classList.add('cart-items-disabled');
+  #renderLine(row, quantity, linePrice) {
+    row.dataset.quantity = quantity.toString();
+    row.dataset.linePrice = linePrice.toString();
+
+    const input = row.querySelector('input[data-cart-line]');
+    if (input instanceof HTMLInputElement && quantity > 0) input.value = quantity.toString();
+
+    const price = row.querySelector('.cart-items__price text-component');
+    if (price instanceof HTMLElement) renderPrice(price, linePrice);
+  }
+
+  /**
+   * Gets the item count and the total price shown.
+   * @returns {{ itemCount: number, totalPrice: number }} The totals.
+   */
+  #getTotals() {
+    const { cartItemCount, cartTotal } = this.refs;
+
+    return {
+      itemCount: parseIntOrDefault(cartItemCount?.textContent?.trim(), 0),
+      totalPrice: parseIntOrDefault(cartTotal?.dataset.totalPrice, 0),
+    };
+  }
+
+  /**
+   * Renders the item count and the total price, and updates the cart bubble.
+   * @param {number} itemCount - The item count.
+   * @param {number} totalPrice - The total price, in minor units.
+   */
+  #renderTotals(itemCount, totalPrice) {
+    const { cartItemCount, cartTotal } = this.refs;
+
+    if (cartItemCount) cartItemCount.textContent = itemCount.toString();
+
+    if (cartTotal) {
+      cartTotal.dataset.totalPrice = totalPrice.toString();
+      renderPrice(cartTotal, totalPrice);
+    }
+
+    this.dispatchEvent(new CartCountUpdateEvent(itemCount, this.sectionId));
   }
 
   /**
-   * Enables the cart items.
+   * Gets the quantity updates for a line and the items that bundle rules added with it.
+   * Bundle items keep their ratio to the line quantity, and are removed with it.
+   * @param {number} line - The line number.
+   * @param {number} quantity - The new quantity of the line.
+   * @returns {Record<string, number> | null} The quantities by line item key, or null if the line has no bundle items.
    */
-  #enableCartItems() {
-    this.classList.remove('cart-items-disabled');
+  #getBundleUpdates(line, quantity) {
+    const row = this.#getRow(line);
+    const key = row?.dataset.key;
+    if (!row || !key) return null;
+
+    const bundleRows = this.refs.cartItemRows.filter((bundleRow) => bundleRow.dataset.bundleParentKey === key);
+    if (bundleRows.length === 0) return null;
+
+    const previousQuantity = getRowQuantity(row);
+
+    /** @type {Record<string, number>} */
+    const updates = { [key]: quantity };
+
+    for (const bundleRow of bundleRows) {
+      const bundleKey = bundleRow.dataset.key;
+      if (!bundleKey) continue;
+
+      if (quantity === 0) {
+        updates[bundleKey] = 0;
+      } else if (previousQuantity) {
+        updates[bundleKey] = Math.max(1, Math.round((getRowQuantity(bundleRow) * quantity) / previousQuantity));
+      }
+    }
+
+    return updates;
   }
 
   /**
-   * Updates quantity selectors for all matching variants in the cart.
+   * Updates the cart quantity of all the quantity selectors, variants no longer in the cart have a cart quantity of 0.
    * @param {Object} updatedCart - The updated cart object.
    * @param {Array<{variant_id: number, quantity: number}>} [updatedCart.items] - The cart items.
    */
   #updateQuantitySelectors(updatedCart) {
     if (!updatedCart.items) return;
 
+    /** @type {Map<string, number>} */
+    const quantities = new Map();
     for (const item of updatedCart.items) {
       const variantId = item.variant_id.toString();
-      const selectors = document.querySelectorAll(`quantity-selector-component[data-variant-id="${variantId}"]`);
+      quantities.set(variantId, (quantities.get(variantId) ?? 0) + item.quantity);
+    }
+
+    for (const selector of document.querySelectorAll('quantity-selector-component[data-variant-id]')) {
+      if (!(selector instanceof HTMLElement)) continue;
 
-      for (const selector of selectors) {
-        const input = selector.querySelector('input[data-cart-quantity]');
-        if (!input) continue;
+      const input = selector.querySelector('input[data-cart-quantity]');
+      if (!input) continue;
 
-        input.setAttribute('data-cart-quantity', item.quantity.toString());
+      const quantity = quantities.get(selector.dataset.variantId ?? '') ?? 0;
+      if (input.getAttribute('data-cart-quantity') === quantity.toString()) continue;
 
-        // Update the quantity selector's internal state
-        if ('updateCartQuantity' in selector && typeof selector.updateCartQuantity === 'function') {
-          selector.updateCartQuantity();
-        }
+      input.setAttribute('data-cart-quantity', quantity.toString());
+
+      // Update the quantity selector's internal state
+      if ('updateCartQuantity' in selector && typeof selector.updateCartQuantity === 'function') {
+        selector.updateCartQuantity();
       }
     }
   }
@@ -328,6 +625,30 @@ class CartItemsComponent extends Component {
   }
 }
 
+/**
+ * Gets the quantity of a cart item row as rendered by the server.
+ * @param {HTMLTableRowElement} row - The cart item row.
+ * @returns {number} The quantity.
+ */
+function getRowQuantity(row) {
+  const input = row.querySelector('input[data-cart-line]');
+
+  return input instanceof HTMLInputElement ? parseIntOrDefault(input.defaultValue, 0) : 0;
+}
+
+/**
+ * Renders a price in a text component, with the money format of the element.
+ * @param {HTMLElement} element - The text component, with `data-money-format` and `data-currency` attributes.
+ * @param {number} price - The price, in minor units.
+ */
+function renderPrice(element, price) {
+  const { moneyFormat, currency } = element.dataset;
+  const formattedPrice = formatMoney(price, moneyFormat || '{{amount}}', currency || '');
+
+  element.textContent = formattedPrice;
+  element.setAttribute('value', formattedPrice);
+}
+
 if (!customElements.get('cart-items-component')) {
   customElements.define('cart-items-component', CartItemsComponent);
 }
@@ -14,6 +14,12 @@ export class ThemeEvents {
   static cartUpdate = 'cart:update';
   /** @static @constant {string} Event triggered when a cart update fails */
   static cartError = 'cart:error';
+  /** @static @constant {string} Event triggered when the cart item count changes before the cart is updated */
+  static cartCountUpdate = 'cart:count-update';
+  /** @static @constant {string} Event triggered when lines are removed from the cart */
+  static cartLineRemove = 'cart:line-remove';
+  /** @static @constant {string} Event triggered when saving the cart note or attributes starts, succeeds or fails */
+  static cartDetailsSave = 'cart:details-save';
   /** @static @constant {string} Event triggered when a media (video, 3d model) is loaded */
   static mediaStartedPlaying = 'media:started-playing';
   // Event triggered when quantity-selector value is changed
@@ -26,6 +32,8 @@ export class ThemeEvents {
   static discountUpdate = 'discount:update';
   /** @static @constant {string} Event triggered when changing collection filters */
   static FilterUpdate = 'filter:update';
+  /** @static @constant {string} Event triggered to show a message in the toast notifications */
+  static notification = 'notification:show';
 }
 
 /**
@@ -58,6 +66,7 @@ export class VariantUpdateEvent extends Event {
    * @param {boolean} resource.available - Whether the variant is available
    * @param {boolean} resource.inventory_management - Whether the variant has inventory management
    * @param {string} [resource.sku] - The SKU of the variant
+   * @param {string[]} [resource.options] - The option values of the variant
    * @param {Object} [resource.featured_media] - The featured media of the variant
    * @param {string} [resource.featured_media.id] - The id of the featured media
    * @param {Object} [resource.featured_media.preview_image] - The preview image of the featured media
@@ -169,6 +178,75 @@ export class CartErrorEvent extends Event {
   }
 }
 
+/**
+ * Event class for optimistic cart item count changes, e.g. while a quantity change is pending
+ * @extends {Event}
+ */
+export class CartCountUpdateEvent extends Event {
+  /**
+   * Creates a new CartCountUpdateEvent
+   * @param {number} itemCount - The expected number of items in the cart
+   * @param {string} sourceId - The id of the element the change was made from
+   */
+  constructor(itemCount, sourceId) {
+    super(ThemeEvents.cartCountUpdate, { bubbles: true });
+    this.detail = {
+      itemCount,
+      sourceId,
+    };
+  }
+}
+
+/**
+ * A cart line as it was before being removed, with everything needed to add it back
+ * @typedef {Object} RemovedCartLine
+ * @property {string} key - The key the line had in the cart
+ * @property {number} variantId - The variant of the line
+ * @property {number} quantity - The quantity of the line
+ * @property {Record<string, string>} properties - The line item properties
+ * @property {number | null} sellingPlanId - The selling plan of the line, if any
+ * @property {number} position - The 1-based position of the line in the cart
+ * @property {string} title - The product title of the line
+ */
+
+/**
+ * Event class for cart lines removed by the buyer
+ * @extends {Event}
+ */
+export class CartLineRemoveEvent extends Event {
+  /**
+   * Creates a new CartLineRemoveEvent
+   * @param {RemovedCartLine[]} lines - The removed line, followed by any bundle lines removed with it
+   * @param {string} sourceId - The id of the element the line was removed from
+   */
+  constructor(lines, sourceId) {
+    super(ThemeEvents.cartLineRemove, { bubbles: true });
+    this.detail = {
+      lines,
+      sourceId,
+    };
+  }
+}
+
+/**
+ * Event class for the saves of the cart note and attributes, including the retries of the unsaved ones
+ * @extends {Event}
+ */
+export class CartDetailsSaveEvent extends Event {
+  /**
+   * Creates a new CartDetailsSaveEvent
+   * @param {'saving' | 'saved' | 'failed'} status - The status of the save
+   * @param {{ note?: string, attributes?: Record<string, string> }} details - The note and attributes being saved
+   */
+  constructor(status, details) {
+    super(ThemeEvents.cartDetailsSave, { bubbles: true });
+    this.detail = {
+      status,
+      details,
+    };
+  }
+}
+
 /**
  * Event class for quantity-selector updates
  * @extends {Event}
@@ -197,12 +275,50 @@ export class DiscountUpdateEvent extends Event {
    * Creates a new DiscountUpdateEvent
    * @param {Object} resource - The new cart object
    * @param {string} sourceId - The id of the element the action was triggered from
+   * @param {Object} [data] - Additional event data
+   * @param {string[]} [data.appliedCodes] - The discount codes applied by the update
+   * @param {string[]} [data.removedCodes] - The discount codes removed by the update
    */
-  constructor(resource, sourceId) {
+  constructor(resource, sourceId, data) {
     super(ThemeEvents.discountUpdate, { bubbles: true });
     this.detail = {
       resource,
       sourceId,
+      data: {
+        ...data,
+      },
+    };
+  }
+}
+
+/**
+ * @typedef {Object} NotificationAction
+ * @property {string} label - The label of the button
+ * @property {() => void} callback - Called when the button is clicked, the message is dismissed with it
+ */
+
+/**
+ * Event class for messages shown in the toast notifications, from anywhere in the theme
+ * @extends {Event}
+ * @example
+ * document.dispatchEvent(new NotificationEvent('Link copied', { type: 'success' }));
+ */
+export class NotificationEvent extends Event {
+  /**
+   * Creates a new NotificationEvent
+   * @param {string} message - The message
+   * @param {Object} [options] - The notification options
+   * @param {'info' | 'success' | 'error'} [options.type] - The type of message, `info` by default
+   * @param {number} [options.duration] - How long the message shows, in milliseconds
+   * @param {NotificationAction} [options.action] - A button shown with the message, e.g. to undo what it announces
+   */
+  constructor(message, { type = 'info', duration, action } = {}) {
+    super(ThemeEvents.notification, { bubbles: true });
+    this.detail = {
+      message,
+      type,
+      duration,
+      action,
     };
   }
 }
@@ -0,0 +1,258 @@
+import { Component } from '@theme/component';
+import { sectionRenderer } from '@theme/section-renderer';
+
+/**
+ * The section rendering the products matching the answers, see sections/gift-finder-results.liquid.
+ */
+const RESULTS_SECTION_ID = 'gift-finder-results';
+
+/**
+ * A custom element that walks the customer through the gift finder questions one at a time,
+ * then shows the products matching the answers.
+ *
+ * The answers live in the URL, e.g. `?recipient=for-her&budget=under-50`, so results can be shared.
+ * They are turned into storefront filters on the collection URL, where the results section is rendered.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLFormElement} form - The quiz form.
+ * @property {HTMLFieldSetElement[]} [questions] - The question fieldsets.
+ * @property {HTMLElement} [progress] - The progress text.
+ * @property {HTMLButtonElement} [backButton] - The button going to the previous question.
+ * @property {HTMLButtonElement} [nextButton] - The button going to the next question.
+ * @property {HTMLButtonElement} [submitButton] - The button showing the results.
+ * @property {HTMLElement} results - The results.
+ * @property {HTMLElement} matches - The element morphed with the results section.
+ * @property {HTMLLIElement[]} [products] - The products matching the answers, in the collection order.
+ *
+ * @extends {Component<Refs>}
+ */
+class GiftFinderComponent extends Component {
+  requiredRefs = ['form', 'results', 'matches'];
+
+  /** The index of the question shown. */
+  #step = 0;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    window.addEventListener('popstate', this.#syncWithURL);
+
+    this.#showStep(this.#step);
+    this.#syncWithURL();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    window.removeEventListener('popstate', this.#syncWithURL);
+  }
+
+  /**
+   * Moves on to the next question once the current one is answered.
+   */
+  next() {
+    const question = this.#questions[this.#step];
+    const input = question?.querySelector('input');
+
+    if (!question?.querySelector('input:checked')) {
+      input?.reportValidity();
+      return;
+    }
+
+    this.#showStep(this.#step + 1);
+  }
+
+  /**
+   * Goes back to the previous question.
+   */
+  back() {
+    this.#showStep(this.#step - 1);
+  }
+
+  /**
+   * Moves on to the next question when an answer is picked.
+   */
+  selectAnswer() {
+    if (this.#step < this.#questions.length - 1) this.next();
+  }
+
+  /**
+   * Shows the products matching the answers.
+   * @param {SubmitEvent} event - The submit event
+   */
+  handleSubmit(event) {
+    event.preventDefault();
+
+    const answers = new URLSearchParams();
+
+    for (const [name, value] of new FormData(this.refs.form)) {
+      if (typeof value === 'string') answers.set(name, value);
+    }
+
+    this.#updateURL(answers);
+    this.#renderResults(answers);
+  }
+
+  /**
+   * Clears the answers and starts the quiz over.
+   */
+  restart() {
+    this.refs.form.reset();
+
+    this.#updateURL(new URLSearchParams());
+    this.#renderResults(new URLSearchParams());
+  }
+
+  /**
+   * Shows the results for the answers in the URL, when they differ from the shown ones.
+   * This shows the results of shared links, and follows the browser history.
+   */
+  #syncWithURL = () => {
+    const answers = this.#getURLAnswers();
+
+    if (answers.toString() === (this.dataset.answers ?? '')) return;
+
+    for (const question of this.#questions) {
+      const value = answers.get(question.dataset.param ?? '');
+
+      for (const input of question.querySelectorAll('input')) input.checked = input.value === value;
+    }
+
+    this.#renderResults(answers);
+  };
+
+  /**
+   * Renders the products matching the answers, and shows as many as the section asks for.
+   * @param {URLSearchParams} answers - The answers, keyed by question parameter
+   */
+  async #renderResults(answers) {
+    const { form, results } = this.refs;
+    const hasAnswers = answers.toString() !== '';
+
+    this.dataset.answers = answers.toString();
+    form.hidden = hasAnswers;
+    results.hidden = !hasAnswers;
+
+    if (!hasAnswers) {
+      this.#showStep(0);
+      return;
+    }
+
+    const { collectionUrl } = this.dataset;
+    if (!collectionUrl) return;
+
+    const url = new URL(collectionUrl, window.location.origin);
+    for (const [param, value] of this.#getFilters(answers)) url.searchParams.append(param, value);
+
+    await sectionRenderer.renderSection(RESULTS_SECTION_ID, { url });
+
+    const resultsCount = Number(this.dataset.resultsCount) || Infinity;
+
+    (this.refs.products ?? []).forEach((product, index) => {
+      product.hidden = index >= resultsCount;
+    });
+  }
+
+  /**
+   * Gets the storefront filters matching the selected answers.
+   * Price ranges are in the shop currency, and converted to the customer's currency for the price filter.
+   * @param {URLSearchParams} answers - The answers, keyed by question parameter
+   * @returns {URLSearchParams} The filters
+   */
+  #getFilters(answers) {
+    const filters = new URLSearchParams();
+
+    for (const question of this.#questions) {
+      const value = answers.get(question.dataset.param ?? '');
+      const input = Array.from(question.querySelectorAll('input')).find((input) => input.value === value);
+      if (!input?.dataset.values) continue;
+
+      if (question.dataset.criterion === 'price') {
+        const rate = Number(Shopify.currency.rate) || 1;
+        const [min = '', max = ''] = input.dataset.values.split('-');
+
+        if (min.trim()) filters.set('filter.v.price.gte', (parseFloat(min) * rate).toFixed(2));
+        if (max.trim()) filters.set('filter.v.price.lte', (parseFloat(max) * rate).toFixed(2));
+        continue;
+      }
+
+      const param = question.dataset.criterion === 'product_type' ? 'filter.p.product_type' : 'filter.p.tag';
+
+      for (const filterValue of input.dataset.values.split(',')) {
+        if (filterValue.trim()) filters.append(param, filterValue.trim());
+      }
+    }
+
+    return filters;
+  }
+
+  /**
+   * Pushes the answers to the URL, keeping its other parameters.
+   * @param {URLSearchParams} answers - The answers, keyed by question parameter
+   */
+  #updateURL(answers) {
+    const url = new URL(window.location.href);
+
+    for (const param of this.#params) url.searchParams.delete(param);
+    for (const [param, value] of answers) url.searchParams.set(param, value);
+
+    history.pushState({ giftFinderAnswers: answers.toString() }, '', url.toString());
+  }
+
+  /**
+   * Gets the answers in the URL, in the question order.
+   * @returns {URLSearchParams} The answers, keyed by question parameter
+   */
+  #getURLAnswers() {
+    const searchParams = new URLSearchParams(window.location.search);
+    const answers = new URLSearchParams();
+
+    for (const param of this.#params) {
+      const value = searchParams.get(param);
+      if (value) answers.set(param, value);
+    }
+
+    return answers;
+  }
+
+  /**
+   * Shows a single question, along with the buttons to move between the questions.
+   * @param {number} step - The index of the question to show
+   */
+  #showStep(step) {
+    const questions = this.#questions;
+    const { progress, backButton, nextButton, submitButton } = this.refs;
+
+    this.#step = Math.max(0, Math.min(step, questions.length - 1));
+    const isLastStep = this.#step === questions.length - 1;
+
+    questions.forEach((question, index) => {
+      question.hidden = index !== this.#step;
+    });
+
+    if (progress) progress.textContent = questions.length > 1 ? `${this.#step + 1} / ${questions.length}` : '';
+    if (backButton) backButton.hidden = this.#step === 0;
+    if (nextButton) nextButton.hidden = isLastStep;
+    if (submitButton) submitButton.hidden = !isLastStep;
+  }
+
+  /**
+   * Gets the question fieldsets.
+   * @returns {HTMLFieldSetElement[]} The questions
+   */
+  get #questions() {
+    return this.refs.questions ?? [];
+  }
+
+  /**
+   * Gets the URL parameters of the questions.
+   * @returns {string[]} The parameters
+   */
+  get #params() {
+    return this.#questions.map((question) => question.dataset.param ?? '').filter(Boolean);
+  }
+}
+
+if (!customElements.get('gift-finder-component')) {
+  customElements.define('gift-finder-component', GiftFinderComponent);
+}
@@ -21,6 +21,7 @@ declare global {
       cart_add_url: string;
       cart_change_url: string;
       cart_update_url: string;
+      cart_clear_url: string;
       cart_url: string;
       predictive_search_url: string;
       search_url: string;
@@ -50,12 +50,12 @@ class LocalizationFormComponent extends Component {
       case 'ArrowUp':
         event.preventDefault();
         event.stopPropagation();
-        this.#changeCountryFocus('UP');
+        moveCountryFocus(countryListItems, 'UP');
         break;
       case 'ArrowDown':
         event.preventDefault();
         event.stopPropagation();
-        this.#changeCountryFocus('DOWN');
+        moveCountryFocus(countryListItems, 'DOWN');
         break;
       case 'Enter': {
         event.preventDefault();
@@ -146,112 +146,6 @@ class LocalizationFormComponent extends Component {
     }
   }
 
-  /**
-   * Finds matches for a given search value in a country element.
-   *
-   * @typedef {Object} Options
-   * @property {boolean} [matchLabel] - Whether to match the label.
-   * @property {boolean} [matchAlias] - Whether to match the alias.
-   * @property {boolean} [matchIso] - Whether to match the iso.
-   * @property {boolean} [matchCurrency] - Whether to match the currency.
-   * @property {boolean} [labelMatchStart] - Whether to match the label start.
-   * @property {boolean} [aliasExactMatch] - Whether to match the alias exact match.
-   *
-   * @typedef {Object} MatchTypes
-   * @property {boolean} [label] - Whether the label matches the search value.
-   * @property {boolean} [alias] - Whether the alias matches the search value.
-   * @property {boolean} [iso] - Whether the iso matches the search value.
-   * @property {boolean} [currency] - Whether the currency matches the search value.
-   *
-   * @param {string} searchValue - The search value to find matches for.
-   * @param {HTMLElement} countryEl - The country element to find matches in.
-   * @param {Options} options - The options for the search.
-   * @returns {MatchTypes} The matches found in the country element.
-   */
-  #findMatches(
-    searchValue,
-    countryEl,
-    options = {
-      // Which data types (label, alias, iso) to match against
-      matchLabel: true,
-      matchAlias: true,
-      matchIso: true,
-      matchCurrency: true,
-      // If true, the search value must match the start of the label
-      labelMatchStart: false,
-      // If true, a result will not display unless the search value equals an alias in its entirety
-      aliasExactMatch: false,
-    }
-  ) {
-    let matchTypes = {};
-    const { aliases, value: iso } = countryEl.dataset;
-
-    if (options.matchLabel) {
-      const countryName = normalizeString(countryEl.querySelector('.country')?.textContent ?? '');
-
-      if (!countryName) return matchTypes;
-
-      matchTypes.label = options.labelMatchStart
-        ? countryName.startsWith(searchValue)
-        : countryName.includes(searchValue);
-    }
-
-    if (options.matchCurrency) {
-      const currency = normalizeString(countryEl.querySelector('.localization-form__currency')?.textContent ?? '');
-      matchTypes.currency = currency.includes(searchValue);
-    }
-
-    if (options.matchIso) {
-      matchTypes.iso = normalizeString(iso ?? '') == searchValue;
-    }
-
-    if (options.matchAlias) {
-      const countryAliases = aliases?.split(',').map((alias) => normalizeString(alias));
-
-      if (!countryAliases) return matchTypes;
-
-      matchTypes.alias =
-        countryAliases.length > 0 &&
-        countryAliases.find((alias) =>
-          options.aliasExactMatch ? alias === searchValue : alias.startsWith(searchValue)
-        ) !== undefined;
-    }
-
-    return matchTypes;
-  }
-
-  /**
-   * Highlights matching text in a string by wrapping it in <mark> tags.
-   *
-   * @param {string | null} text - The text to highlight.
-   * @param {string} searchValue - The search value to highlight.
-   * @returns {string} The text with matching parts wrapped in <mark> tags.
-   */
-  #highlightMatches(text, searchValue) {
-    if (!text || !searchValue) return text ?? '';
-
-    const normalizedText = normalizeString(text);
-    const normalizedSearch = normalizeString(searchValue);
-    const startIndex = normalizedText.indexOf(normalizedSearch);
-
-    if (startIndex === -1) return text;
-
-    const endIndex = startIndex + normalizedSearch.length;
-    const before = text.slice(0, startIndex);
-    const match = text.slice(startIndex, endIndex);
-    const after = text.slice(endIndex);
-
-    let result = '';
-    if (before) {
-      result += `<mark>${before}</mark>`;
-    }
-    result += match;
-    if (after) {
-      result += `<mark>${after}</mark>`;
-    }
-    return result;
-  }
-
   /**
    * Filters the countries based on the search value.
    */
@@ -260,7 +154,6 @@ class LocalizationFormComponent extends Component {
       this.refs;
     const { labelResultsCount } = this.dataset;
     const searchValue = normalizeString(search.value);
-    let countVisibleCountries = 0;
 
     resetButton.toggleAttribute('hidden', !searchValue);
 
@@ -273,31 +166,7 @@ class LocalizationFormComponent extends Component {
       wrapper.classList.toggle('is-searching', !!searchValue);
     }
 
-    for (const countryEl of countryListItems) {
-      if (searchValue === '') {
-        countryEl.removeAttribute('hidden');
-        const countrySpan = countryEl.querySelector('.country');
-        if (countrySpan) {
-          // eslint-disable-next-line no-self-assign
-          countrySpan.textContent = countrySpan.textContent;
-        }
-        countVisibleCountries++;
-      } else {
-        const matches = this.#findMatches(searchValue, countryEl);
-
-        // In the future, we could reorder/rank filtered results based on the match types
-        if (matches.label || matches.alias || matches.iso || matches.currency) {
-          countryEl.removeAttribute('hidden');
-          const countrySpan = countryEl.querySelector('.country');
-          if (countrySpan) {
-            countrySpan.innerHTML = this.#highlightMatches(countrySpan.textContent, searchValue);
-          }
-          countVisibleCountries++;
-        } else {
-          countryEl.setAttribute('hidden', '');
-        }
-      }
-    }
+    const countVisibleCountries = filterCountryListItems(countryListItems, searchValue);
 
     if (liveRegion && labelResultsCount) {
       liveRegion.innerText = labelResultsCount.replace('[count]', `${countVisibleCountries}`);
@@ -307,33 +176,6 @@ class LocalizationFormComponent extends Component {
     countryList.scrollTop = 0;
   }
 
-  /**
-   * Changes the focus of the country list items.
-   *
-   * @param {string} direction - The direction to change the focus.
-   */
-  #changeCountryFocus(direction) {
-    const { countryListItems } = this.refs;
-    const focusableItems = countryListItems.filter((item) => !item.hasAttribute('hidden'));
-    const focusedItemIndex = focusableItems.findIndex((item) => item === document.activeElement);
-    const focusedItem = focusableItems[focusedItemIndex];
-    let itemToFocus;
-
-    if (direction === 'UP') {
-      itemToFocus =
-        focusedItemIndex > 0 ? focusableItems[focusedItemIndex - 1] : focusableItems[focusableItems.length - 1];
-    } else {
-      itemToFocus =
-        focusedItemIndex < focusableItems.length - 1 ? focusableItems[focusedItemIndex + 1] : focusableItems[0];
-    }
-
-    if (focusedItem) {
-      focusedItem.setAttribute('aria-selected', 'false');
-    }
-    itemToFocus?.setAttribute('aria-selected', 'true');
-    itemToFocus?.focus();
-  }
-
   /**
    * Resets the countries filter.
    *
@@ -403,6 +245,179 @@ class LocalizationFormComponent extends Component {
   };
 }
 
+/**
+ * Shows the items of a country list matching a search value, and highlights the match in their name.
+ * The items have the country name in a `.country` element, and their ISO code and aliases in data attributes.
+ *
+ * @param {HTMLElement[]} countryListItems - The country list items.
+ * @param {string} searchValue - The normalized search value.
+ * @returns {number} The number of items shown.
+ */
+export function filterCountryListItems(countryListItems, searchValue) {
+  let countVisibleCountries = 0;
+
+  for (const countryEl of countryListItems) {
+    if (searchValue === '') {
+      countryEl.removeAttribute('hidden');
+      const countrySpan = countryEl.querySelector('.country');
+      if (countrySpan) {
+        // eslint-disable-next-line no-self-assign
+        countrySpan.textContent = countrySpan.textContent;
+      }
+      countVisibleCountries++;
+    } else {
+      const matches = findCountryMatches(searchValue, countryEl);
+
+      // In the future, we could reorder/rank filtered results based on the match types
+      if (matches.label || matches.alias || matches.iso || matches.currency) {
+        countryEl.removeAttribute('hidden');
+        const countrySpan = countryEl.querySelector('.country');
+        if (countrySpan) {
+          countrySpan.innerHTML = highlightMatches(countrySpan.textContent, searchValue);
+        }
+        countVisibleCountries++;
+      } else {
+        countryEl.setAttribute('hidden', '');
+      }
+    }
+  }
+
+  return countVisibleCountries;
+}
+
+/**
+ * Moves the focus to the previous or next visible item of a country list, looping around at the ends.
+ *
+ * @param {HTMLElement[]} countryListItems - The country list items.
+ * @param {string} direction - The direction to change the focus.
+ */
+export function moveCountryFocus(countryListItems, direction) {
+  const focusableItems = countryListItems.filter((item) => !item.hasAttribute('hidden'));
+  const focusedItemIndex = focusableItems.findIndex((item) => item === document.activeElement);
+  const focusedItem = focusableItems[focusedItemIndex];
+  let itemToFocus;
+
+  if (direction === 'UP') {
+    itemToFocus =
+      focusedItemIndex > 0 ? focusableItems[focusedItemIndex - 1] : focusableItems[focusableItems.length - 1];
+  } else {
+    itemToFocus =
+      focusedItemIndex < focusableItems.length - 1 ? focusableItems[focusedItemIndex + 1] : focusableItems[0];
+  }
+
+  if (focusedItem) {
+    focusedItem.setAttribute('aria-selected', 'false');
+  }
+  itemToFocus?.setAttribute('aria-selected', 'true');
+  itemToFocus?.focus();
+}
+
+/**
+ * Finds matches for a given search value in a country element.
+ *
+ * @typedef {Object} Options
+ * @property {boolean} [matchLabel] - Whether to match the label.
+ * @property {boolean} [matchAlias] - Whether to match the alias.
+ * @property {boolean} [matchIso] - Whether to match the iso.
+ * @property {boolean} [matchCurrency] - Whether to match the currency.
+ * @property {boolean} [labelMatchStart] - Whether to match the label start.
+ * @property {boolean} [aliasExactMatch] - Whether to match the alias exact match.
+ *
+ * @typedef {Object} MatchTypes
+ * @property {boolean} [label] - Whether the label matches the search value.
+ * @property {boolean} [alias] - Whether the alias matches the search value.
+ * @property {boolean} [iso] - Whether the iso matches the search value.
+ * @property {boolean} [currency] - Whether the currency matches the search value.
+ *
+ * @param {string} searchValue - The search value to find matches for.
+ * @param {HTMLElement} countryEl - The country element to find matches in.
+ * @param {Options} options - The options for the search.
+ * @returns {MatchTypes} The matches found in the country element.
+ */
+function findCountryMatches(
+  searchValue,
+  countryEl,
+  options = {
+    // Which data types (label, alias, iso) to match against
+    matchLabel: true,
+    matchAlias: true,
+    matchIso: true,
+    matchCurrency: true,
+    // If true, the search value must match the start of the label
+    labelMatchStart: false,
+    // If true, a result will not display unless the search value equals an alias in its entirety
+    aliasExactMatch: false,
+  }
+) {
+  let matchTypes = {};
+  const { aliases, value: iso } = countryEl.dataset;
+
+  if (options.matchLabel) {
+    const countryName = normalizeString(countryEl.querySelector('.country')?.textContent ?? '');
+
+    if (!countryName) return matchTypes;
+
+    matchTypes.label = options.labelMatchStart
+      ? countryName.startsWith(searchValue)
+      : countryName.includes(searchValue);
+  }
+
+  if (options.matchCurrency) {
+    const currency = normalizeString(countryEl.querySelector('.localization-form__currency')?.textContent ?? '');
+    matchTypes.currency = currency.includes(searchValue);
+  }
+
+  if (options.matchIso) {
+    matchTypes.iso = normalizeString(iso ?? '') == searchValue;
+  }
+
+  if (options.matchAlias) {
+    const countryAliases = aliases?.split(',').map((alias) => normalizeString(alias));
+
+    if (!countryAliases) return matchTypes;
+
+    matchTypes.alias =
+      countryAliases.length > 0 &&
+      countryAliases.find((alias) =>
+        options.aliasExactMatch ? alias === searchValue : alias.startsWith(searchValue)
+      ) !== undefined;
+  }
+
+  return matchTypes;
+}
+
+/**
+ * Highlights matching text in a string by wrapping it in <mark> tags.
+ *
+ * @param {string | null} text - The text to highlight.
+ * @param {string} searchValue - The search value to highlight.
+ * @returns {string} The text with matching parts wrapped in <mark> tags.
+ */
+function highlightMatches(text, searchValue) {
+  if (!text || !searchValue) return text ?? '';
+
+  const normalizedText = normalizeString(text);
+  const normalizedSearch = normalizeString(searchValue);
+  const startIndex = normalizedText.indexOf(normalizedSearch);
+
+  if (startIndex === -1) return text;
+
+  const endIndex = startIndex + normalizedSearch.length;
+  const before = text.slice(0, startIndex);
+  const match = text.slice(startIndex, endIndex);
+  const after = text.slice(endIndex);
+
+  let result = '';
+  if (before) {
+    result += `<mark>${before}</mark>`;
+  }
+  result += match;
+  if (after) {
+    result += `<mark>${after}</mark>`;
+  }
+  return result;
+}
+
 /**
  * A custom element that displays a dropdown localization form.
  *
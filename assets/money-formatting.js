@@ -143,6 +143,20 @@ function formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision
   return precision <= 0 ? a : a + decimalSeparator + b.padEnd(precision, '0');
 }
 
+/**
+ * Converts an amount in major units to minor units, e.g. dollars to cents
+ * Example: convertToMinorUnits(75.5, "USD") → 7550
+ * Example: convertToMinorUnits(8250, "JPY") → 8250
+ * @param {number} amount - The amount in major units
+ * @param {string} currency - The currency code
+ * @returns {number} The amount in minor units, rounded to the nearest unit
+ */
+export function convertToMinorUnits(amount, currency) {
+  const precision = CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
+
+  return Math.round(amount * Math.pow(10, precision));
+}
+
 /**
  * Formats money, replicating the implementation of the `money` liquid filters
  * @param {number} moneyValue - The money value in minor units
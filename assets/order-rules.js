@@ -0,0 +1,268 @@
+import { CartError } from '@theme/cart';
+import { convertToMinorUnits, formatMoney } from '@theme/money-formatting';
+import { productCache } from '@theme/product-cache';
+
+/**
+ * Order rules are cart-wide limits set in **Theme settings > Cart > Order rules**: a minimum order value, a maximum
+ * number of items per order, which can be replaced for customers with some tags, and case packs, products sold in
+ * multiples of a pack size.
+ *
+ * Rules are read from the `<script type="application/json" data-order-rules>` element rendered by the theme, with
+ * the maximum of the signed-in customer already resolved. They're checked on the storefront only, to tell buyers
+ * what to change before they check out: checkout itself doesn't enforce them.
+ * @module order-rules
+ */
+
+/**
+ * @typedef {Object} OrderRules
+ * @property {number} minimumOrderValue - The minimum order value in the store currency, 0 for no minimum
+ * @property {number} maximumItems - The maximum number of items per order, 0 for no limit
+ * @property {number} casePackSize - The quantity case pack products are sold in multiples of, 0 for no case packs
+ * @property {string} casePackTag - The tag of the case pack products, every product when empty
+ * @property {string} moneyFormat - The money format of the messages
+ * @property {string} currency - The cart currency
+ * @property {Record<OrderRule, string>} messages - The messages, with `[placeholder]` values
+ */
+
+/**
+ * @typedef {'minimum' | 'maximum' | 'case_pack'} OrderRule
+ */
+
+/**
+ * @typedef {Object} OrderRuleViolation
+ * @property {OrderRule} rule - The rule
+ * @property {string} message - The message telling what to change
+ */
+
+/**
+ * @typedef {Object} OrderRuleProduct
+ * @property {string} handle - The product handle
+ * @property {string} title - The product title
+ */
+
+const ORDER_RULES_SELECTOR = 'script[type="application/json"][data-order-rules]';
+
+/**
+ * Gifts added by the rewards progress bar don't count toward the rules, buyers can't change their quantity.
+ */
+const REWARD_PROPERTY = '_cart_reward';
+
+/**
+ * The tags of the products checked for case packs, by handle. Tags don't change with the cart, unlike the product
+ * cache which is cleared on every cart update.
+ * @type {Map<string, Promise<string[]>>}
+ */
+const productTags = new Map();
+
+/**
+ * A change the order rules don't allow, handled like the errors of the cart API.
+ */
+export class OrderRuleError extends CartError {
+  /**
+   * @param {OrderRuleViolation[]} violations - The broken rules
+   */
+  constructor(violations) {
+    super({ description: violations.map((violation) => violation.message).join(' ') });
+
+    this.name = 'OrderRuleError';
+    this.violations = violations;
+  }
+}
+
+/**
+ * Gets the order rules configured on the current page.
+ * @returns {OrderRules | null} The order rules, null when there are none
+ */
+export function getOrderRules() {
+  const script = document.querySelector(ORDER_RULES_SELECTOR);
+  if (!script) return null;
+
+  let data;
+
+  try {
+    data = JSON.parse(script.textContent || 'null');
+  } catch (error) {
+    console.warn('Invalid order rules configuration', error);
+    return null;
+  }
+
+  if (!data || typeof data !== 'object') return null;
+
+  return {
+    minimumOrderValue: Math.max(0, Number(data.minimum_order_value) || 0),
+    maximumItems: Math.max(0, parseInt(data.maximum_items, 10) || 0),
+    casePackSize: Math.max(0, parseInt(data.case_pack_size, 10) || 0),
+    casePackTag: typeof data.case_pack_tag === 'string' ? data.case_pack_tag.trim() : '',
+    moneyFormat: typeof data.money_format === 'string' ? data.money_format : '{{amount}}',
+    currency: typeof data.currency === 'string' ? data.currency : '',
+    messages: { minimum: '', maximum: '', case_pack: '', ...data.messages },
+  };
+}
+
+/**
+ * Checks a cart against every order rule, before checkout.
+ * @param {import('./cart').Cart} cart - The cart
+ * @returns {Promise<OrderRuleViolation[]>} The broken rules, none when the cart can be checked out
+ */
+export async function validateCart(cart) {
+  const rules = getOrderRules();
+  if (!rules || cart.item_count === 0) return [];
+
+  /** @type {OrderRuleViolation[]} */
+  const violations = [];
+
+  // The minimum is set in the store currency, and converted to the cart currency
+  const rate = parseFloat(window.Shopify?.currency?.rate ?? '1') || 1;
+  const minimum = convertToMinorUnits(rules.minimumOrderValue * rate, rules.currency);
+
+  if (cart.total_price < minimum) {
+    violations.push({
+      rule: 'minimum',
+      message: rules.messages.minimum
+        .replace('[amount]', formatMoney(minimum, rules.moneyFormat, rules.currency))
+        .replace('[remaining]', formatMoney(minimum - cart.total_price, rules.moneyFormat, rules.currency)),
+    });
+  }
+
+  const items = cart.items.filter((item) => !item.properties?.[REWARD_PROPERTY]);
+
+  if (rules.maximumItems > 0 && countItems(items) > rules.maximumItems) {
+    violations.push(getMaximumViolation(rules));
+  }
+
+  violations.push(...(await getCasePackViolations(items, rules)));
+
+  return violations;
+}
+
+/**
+ * Checks quantity updates against the rules that apply to the cart content, e.g. before bulk adds.
+ * The minimum order value is only checked before checkout, and updates that lower the item count are always allowed,
+ * so buyers can fix a cart over the maximum.
+ * @param {import('./cart').Cart} cart - The cart before the updates
+ * @param {Record<string, number>} updates - The new quantities, by variant ID
+ * @param {OrderRuleProduct} product - The product of the variants that aren't in the cart yet
+ * @returns {Promise<OrderRuleViolation[]>} The broken rules, none when the updates can be made
+ */
+export async function validateCartUpdates(cart, updates, product) {
+  const rules = getOrderRules();
+  if (!rules) return [];
+
+  const items = cart.items.filter((item) => !item.properties?.[REWARD_PROPERTY]);
+  const otherItems = items.filter((item) => !(String(item.variant_id) in updates));
+
+  /** @type {Array<Pick<import('./cart').CartItem, 'variant_id' | 'handle' | 'product_title' | 'quantity'>>} */
+  const changedItems = Object.entries(updates)
+    .filter(([, quantity]) => quantity > 0)
+    .map(([variantId, quantity]) => {
+      const item = items.find((item) => String(item.variant_id) === variantId);
+
+      return {
+        variant_id: Number(variantId),
+        handle: item?.handle ?? product.handle,
+        product_title: item?.product_title ?? product.title,
+        quantity,
+      };
+    });
+
+  /** @type {OrderRuleViolation[]} */
+  const violations = [];
+  const itemCount = countItems([...otherItems, ...changedItems]);
+
+  if (rules.maximumItems > 0 && itemCount > rules.maximumItems && itemCount > countItems(items)) {
+    violations.push(getMaximumViolation(rules));
+  }
+
+  violations.push(...(await getCasePackViolations(changedItems, rules)));
+
+  return violations;
+}
+
+/**
+ * Gets the violation of the maximum items per order.
+ * @param {OrderRules} rules - The order rules
+ * @returns {OrderRuleViolation} The violation
+ */
+function getMaximumViolation(rules) {
+  return { rule: 'maximum', message: rules.messages.maximum.replace('[maximum]', String(rules.maximumItems)) };
+}
+
+/**
+ * Gets the case pack products whose quantity isn't a multiple of the pack size. Lines of the same variant, e.g.
+ * with different line item properties, are counted together.
+ * @param {Array<Pick<import('./cart').CartItem, 'variant_id' | 'handle' | 'product_title' | 'quantity'>>} items - The
+ * items to check
+ * @param {OrderRules} rules - The order rules
+ * @returns {Promise<OrderRuleViolation[]>} One violation per product
+ */
+async function getCasePackViolations(items, rules) {
+  const size = rules.casePackSize;
+  if (size <= 1) return [];
+
+  /** @type {Map<number, { handle: string, title: string, quantity: number }>} */
+  const variants = new Map();
+
+  for (const item of items) {
+    const variant = variants.get(item.variant_id);
+
+    if (variant) {
+      variant.quantity += item.quantity;
+    } else {
+      variants.set(item.variant_id, { handle: item.handle, title: item.product_title, quantity: item.quantity });
+    }
+  }
+
+  /** @type {Map<string, string>} */
+  const products = new Map();
+
+  for (const { handle, title, quantity } of variants.values()) {
+    if (quantity % size !== 0) products.set(handle, title);
+  }
+
+  const casePacks = await Promise.all(
+    Array.from(products.keys(), async (handle) => !rules.casePackTag || (await hasTag(handle, rules.casePackTag)))
+  );
+
+  return Array.from(products.values())
+    .filter((_, index) => casePacks[index])
+    .map((title) => ({
+      rule: /** @type {const} */ ('case_pack'),
+      message: rules.messages.case_pack.replace('[product]', title).split('[size]').join(String(size)),
+    }));
+}
+
+/**
+ * Checks whether a product has a tag, ignoring the case. Products that can't be loaded don't have it.
+ * @param {string} handle - The product handle
+ * @param {string} tag - The tag
+ * @returns {Promise<boolean>} Whether the product has the tag
+ */
+async function hasTag(handle, tag) {
+  let tags = productTags.get(handle);
+
+  if (!tags) {
+    tags = productCache
+      .get(handle)
+      .then((/** @type {{ tags?: string[] }} */ product) => product.tags ?? [])
+      .catch((error) => {
+        console.warn(`Failed to load the tags of product "${handle}"`, error);
+        productTags.delete(handle);
+        return [];
+      });
+
+    productTags.set(handle, tags);
+  }
+
+  const normalizedTag = tag.toLowerCase();
+
+  return (await tags).some((productTag) => productTag.toLowerCase() === normalizedTag);
+}
+
+/**
+ * Counts the items of a list of lines.
+ * @param {Array<{ quantity: number }>} items - The lines
+ * @returns {number} The number of items
+ */
+function countItems(items) {
+  return items.reduce((count, item) => count + item.quantity, 0);
+}
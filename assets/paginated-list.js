@@ -30,7 +30,7 @@ export default class PaginatedList extends Component {
   /** @type {((value: void) => void) | null} */
   #resolvePreviousPagePromise = null;
 
-  /** @type {PaginatedListAspectRatioHelper} */
+  /** @type {PaginatedListAspectRatioHelper | undefined} */
   #aspectRatioHelper;
 
   connectedCallback() {
@@ -61,6 +61,20 @@ export default class PaginatedList extends Component {
     document.removeEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
   }
 
+  /**
+   * Renders the next page, for lists loading pages on demand rather than with infinite scroll.
+   */
+  async loadNextPage() {
+    await this.#renderNextPage();
+  }
+
+  /**
+   * Renders the previous page, for lists loading pages on demand rather than with infinite scroll.
+   */
+  async loadPreviousPage() {
+    await this.#renderPreviousPage();
+  }
+
   #observeViewMore() {
     const { viewMorePrevious, viewMoreNext } = this.refs;
 
@@ -189,7 +203,7 @@ export default class PaginatedList extends Component {
 
     grid.append(...nextPageItemElements);
 
-    this.#aspectRatioHelper.processNewElements();
+    this.#aspectRatioHelper?.processNewElements();
 
     history.pushState('', '', nextPage.url.toString());
 
@@ -228,7 +242,7 @@ export default class PaginatedList extends Component {
     // Prepend the new elements
     grid.prepend(...previousPageItemElements);
 
-    this.#aspectRatioHelper.processNewElements();
+    this.#aspectRatioHelper?.processNewElements();
 
     history.pushState('', '', previousPage.url.toString());
 
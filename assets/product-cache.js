@@ -0,0 +1,120 @@
+import { ThemeEvents } from '@theme/events';
+
+/**
+ * The number of products kept in the cache
+ */
+const MAX_ENTRIES = 50;
+
+/**
+ * How long a product is kept in the cache, in milliseconds
+ */
+const TTL = 5 * 60 * 1000;
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {Object} product - The product JSON
+ * @property {number} expiresAt - When the entry expires, in milliseconds since the epoch
+ */
+
+/**
+ * A cache of the product JSON served by `/products/<handle>.js`, so products prefetched when they're about
+ * to be viewed show instantly.
+ *
+ * The least recently used products are evicted once the cache is full. The cache is cleared when the cart
+ * is updated, as the product availability may have changed.
+ */
+class ProductCache {
+  /**
+   * The cached products by handle, from the least to the most recently used
+   * @type {Map<string, CacheEntry>}
+   */
+  #cache = new Map();
+
+  /**
+   * The pending promises
+   * @type {Map<string, Promise<Object>>}
+   */
+  #pendingPromises = new Map();
+
+  /**
+   * Incremented when the cache is cleared, so responses requested before aren't cached
+   */
+  #generation = 0;
+
+  constructor() {
+    document.addEventListener(ThemeEvents.cartUpdate, this.clear);
+  }
+
+  /**
+   * Gets a product, from the cache when possible
+   * @param {string} handle - The product handle
+   * @returns {Promise<Object>} The product JSON
+   */
+  async get(handle) {
+    const entry = this.#cache.get(handle);
+
+    if (entry && entry.expiresAt > Date.now()) {
+      // Move the product to the most recently used position
+      this.#cache.delete(handle);
+      this.#cache.set(handle, entry);
+
+      return entry.product;
+    }
+
+    this.#cache.delete(handle);
+
+    let pendingPromise = this.#pendingPromises.get(handle);
+    if (pendingPromise) return pendingPromise;
+
+    const generation = this.#generation;
+
+    pendingPromise = fetch(`/products/${encodeURIComponent(handle)}.js`).then((response) => {
+      if (!response.ok) throw new Error(`HTTP error ${response.status}`);
+      return response.json();
+    });
+
+    this.#pendingPromises.set(handle, pendingPromise);
+
+    try {
+      const product = await pendingPromise;
+
+      if (generation === this.#generation) this.#set(handle, product);
+
+      return product;
+    } finally {
+      this.#pendingPromises.delete(handle);
+    }
+  }
+
+  /**
+   * Loads a product into the cache, ignoring errors
+   * @param {string} handle - The product handle
+   */
+  prefetch(handle) {
+    this.get(handle).catch(() => {});
+  }
+
+  /**
+   * Clears the cache
+   */
+  clear = () => {
+    this.#cache.clear();
+    this.#generation++;
+  };
+
+  /**
+   * Caches a product, evicting the least recently used products when the cache is full
+   * @param {string} handle - The product handle
+   * @param {Object} product - The product JSON
+   */
+  #set(handle, product) {
+    this.#cache.set(handle, { product, expiresAt: Date.now() + TTL });
+
+    for (const key of this.#cache.keys()) {
+      if (this.#cache.size <= MAX_ENTRIES) break;
+      this.#cache.delete(key);
+    }
+  }
+}
+
+export const productCache = new ProductCache();
@@ -1,18 +1,22 @@
 import { Component } from '@theme/component';
-import { fetchConfig, preloadImage, onAnimationEnd, yieldToMainThread } from '@theme/utilities';
-import { ThemeEvents, CartAddEvent, CartErrorEvent, CartUpdateEvent, VariantUpdateEvent } from '@theme/events';
+import { preloadImage, onAnimationEnd, yieldToMainThread } from '@theme/utilities';
+import {
+  ThemeEvents,
+  CartAddEvent,
+  CartErrorEvent,
+  CartUpdateEvent,
+  NotificationEvent,
+  VariantUpdateEvent,
+} from '@theme/events';
+import { cartStore, CartError } from '@theme/cart';
 import { cartPerformance } from '@theme/performance';
 import { morph } from '@theme/morph';
-
-// Error message display duration - gives users time to read the message
-const ERROR_MESSAGE_DISPLAY_DURATION = 10000;
+import { BUNDLE_PARENT_PROPERTY, resolveBundleItems, toSelectedOptions } from '@theme/bundle-rules';
+import { DialogComponent } from '@theme/dialog';
 
 // Button re-enable delay after error - prevents rapid repeat attempts
 const ERROR_BUTTON_REENABLE_DELAY = 1000;
 
-// Success message display duration for screen readers
-const SUCCESS_MESSAGE_DISPLAY_DURATION = 5000;
-
 /**
  * @typedef {HTMLElement & {
  *   source: Element,
@@ -169,14 +173,12 @@ if (!customElements.get('add-to-cart-component')) {
 /**
  * A custom element that manages a product form.
  *
- * @typedef {{items: Array<{quantity: number, variant_id: number}>}} Cart
+ * @typedef {import('./cart').Cart} Cart
  *
  * @typedef {object} ProductFormRefs
  * @property {HTMLInputElement} variantId - The form input for submitting the variant ID.
  * @property {AddToCartComponent | undefined} addToCartButtonContainer - The add to cart button container element.
- * @property {HTMLElement | undefined} addToCartTextError - The add to cart text error.
  * @property {HTMLElement | undefined} acceleratedCheckoutButtonContainer - The accelerated checkout button container element.
- * @property {HTMLElement} liveRegion - The live region.
  * @property {HTMLElement | undefined} quantityLabelCartCount - The quantity label cart count element.
  * @property {HTMLElement | undefined} quantityRules - The quantity rules element.
  * @property {HTMLElement | undefined} productFormButtons - The product form buttons container.
@@ -189,12 +191,9 @@ if (!customElements.get('add-to-cart-component')) {
  * @extends Component<ProductFormRefs>
  */
 class ProductFormComponent extends Component {
-  requiredRefs = ['variantId', 'liveRegion'];
+  requiredRefs = ['variantId'];
   #abortController = new AbortController();
 
-  /** @type {number | undefined} */
-  #timeout;
-
   connectedCallback() {
     super.connectedCallback();
 
@@ -238,7 +237,7 @@ class ProductFormComponent extends Component {
   }
 
   /**
-   * Fetches cart and updates quantity selector for current variant
+   * Gets the cart from the cart store and updates quantity selector for current variant
    * @returns {Promise<number>} The cart quantity for the current variant
    */
   async #fetchAndUpdateCartQuantity() {
@@ -246,8 +245,7 @@ class ProductFormComponent extends Component {
     if (!variantIdInput?.value) return 0;
 
     try {
-      const response = await fetch('/cart.js');
-      const cart = await response.json();
+      const cart = await cartStore.get();
 
       return this.#updateCartQuantityFromData(cart);
     } catch (error) {
@@ -257,13 +255,10 @@ class ProductFormComponent extends Component {
   }
 
   /**
-   * Updates data-cart-quantity when cart is updated from elsewhere
+   * Updates data-cart-quantity when the cart is updated
    * @param {CartUpdateEvent|CartAddEvent} event
    */
   #onCartUpdate = async (event) => {
-    // Skip if this event came from this component
-    if (event.detail?.sourceId === this.id || event.detail?.data?.source === 'product-form-component') return;
-
     const cart = /** @type {Cart} */ (event.detail?.resource);
     if (cart?.items) {
       this.#updateCartQuantityFromData(cart);
@@ -278,12 +273,9 @@ class ProductFormComponent extends Component {
    * @param {Event} event - The submit event.
    */
   handleSubmit(event) {
-    const { addToCartTextError } = this.refs;
     // Stop default behaviour from the browser
     event.preventDefault();
 
-    if (this.#timeout) clearTimeout(this.#timeout);
-
     // Query for ALL add-to-cart components
     const allAddToCartContainers = /** @type {NodeListOf<AddToCartComponent>} */ (
       this.querySelectorAll('add-to-cart-component')
@@ -311,26 +303,7 @@ class ProductFormComponent extends Component {
 
         const errorTemplate = this.dataset.quantityErrorMax || '';
         const errorMessage = errorTemplate.replace('{{ maximum }}', validation.maxQuantity?.toString() || '');
-        if (addToCartTextError) {
-          addToCartTextError.classList.remove('hidden');
-
-          const textNode = addToCartTextError.childNodes[2];
-          if (textNode) {
-            textNode.textContent = errorMessage;
-          } else {
-            const newTextNode = document.createTextNode(errorMessage);
-            addToCartTextError.appendChild(newTextNode);
-          }
-
-          this.#setLiveRegionText(errorMessage);
-
-          if (this.#timeout) clearTimeout(this.#timeout);
-          this.#timeout = setTimeout(() => {
-            if (!addToCartTextError) return;
-            addToCartTextError.classList.add('hidden');
-            this.#clearLiveRegionText();
-          }, ERROR_MESSAGE_DISPLAY_DURATION);
-        }
+        this.dispatchEvent(new NotificationEvent(errorMessage, { type: 'error' }));
 
         setTimeout(() => {
           // Re-enable ALL add-to-cart buttons
@@ -346,108 +319,172 @@ class ProductFormComponent extends Component {
     const formData = new FormData(form);
 
     const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    let cartItemComponentsSectionIds = [];
+    /** @type {string[]} */
+    const cartItemComponentsSectionIds = [];
     cartItemsComponents.forEach((item) => {
       if (item instanceof HTMLElement && item.dataset.sectionId) {
         cartItemComponentsSectionIds.push(item.dataset.sectionId);
       }
-      formData.append('sections', cartItemComponentsSectionIds.join(','));
     });
 
-    const fetchCfg = fetchConfig('javascript', { body: formData });
+    const id = formData.get('id');
 
-    fetch(Theme.routes.cart_add_url, {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
-      },
-    })
-      .then((response) => response.json())
-      .then(async (response) => {
-        if (response.status) {
-          this.dispatchEvent(
-            new CartErrorEvent(form.getAttribute('id') || '', response.message, response.description, response.errors)
-          );
+    if (!id) {
+      console.error('Form ID is required');
+      return;
+    }
 
-          if (!addToCartTextError) return;
-          addToCartTextError.classList.remove('hidden');
+    /** @type {import('./cart').CartRequestOptions} */
+    const options = {
+      target: this,
+      sourceId: id.toString(),
+      source: 'product-form-component',
+      sections: cartItemComponentsSectionIds,
+      eventData: { productId: this.dataset.productId },
+    };
+
+    // Quick adds opened from a cart line replace the line with the selected variant
+    const { replaceLineKey } = this.dataset;
+    const request = replaceLineKey
+      ? this.#replaceLine(formData, options, replaceLineKey)
+      : this.#addToCart(formData, options);
+
+    request
+      .catch((error) => {
+        if (!(error instanceof CartError)) {
+          console.error(error);
+          return;
+        }
 
-          // Reuse the text node if the user is spam-clicking
-          const textNode = addToCartTextError.childNodes[2];
-          if (textNode) {
-            textNode.textContent = response.message;
-          } else {
-            const newTextNode = document.createTextNode(response.message);
-            addToCartTextError.appendChild(newTextNode);
-          }
+        const message = error.data.message ?? error.message;
+        this.dispatchEvent(
+          new CartErrorEvent(form.getAttribute('id') || '', message, error.description ?? message, error.errors)
+        );
 
-          // Create or get existing error live region for screen readers
-          this.#setLiveRegionText(response.message);
-
-          this.#timeout = setTimeout(() => {
-            if (!addToCartTextError) return;
-            addToCartTextError.classList.add('hidden');
-
-            // Clear the announcement
-            this.#clearLiveRegionText();
-          }, ERROR_MESSAGE_DISPLAY_DURATION);
-
-          // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
-          // because our back-end still adds the max allowed amount to the cart.
-          this.dispatchEvent(
-            new CartAddEvent({}, this.id, {
-              didError: true,
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-            })
-          );
+        // When we add more than the maximum amount of items to the cart, the back-end still adds the max allowed
+        // amount, so the cart is refreshed
+        cartStore
+          .refresh({ ...options, sourceId: this.id, eventData: { ...options.eventData, didError: true } })
+          .catch(console.error);
+      })
+      .finally(() => {
+        cartPerformance.measureFromEvent('add:user-action', event);
+      });
+  }
 
-          return;
-        } else {
-          const id = formData.get('id');
+  /**
+   * Adds the product to the cart, along with the products configured by bundle rules for the selected options.
+   * A single cart event is dispatched once everything is added.
+   * @param {FormData} formData - The product form data
+   * @param {import('./cart').CartRequestOptions} options - The cart request options
+   */
+  async #addToCart(formData, options) {
+    const response = await cartStore.add(formData, { ...options, silent: true });
 
-          if (addToCartTextError) {
-            addToCartTextError.classList.add('hidden');
-            addToCartTextError.removeAttribute('aria-live');
-          }
+    // Add the products configured by bundle rules for the selected options, linked to the added line
+    const bundleResponse = await this.#addBundleItems(options, response.data.key);
 
-          if (!id) throw new Error('Form ID is required');
+    cartStore.notify('add', bundleResponse ?? response, options);
+  }
 
-          // Add aria-live region to inform screen readers that the item was added
-          // Get the added text from any add-to-cart button
-          const anyAddToCartButton = allAddToCartContainers[0]?.refs.addToCartButton;
-          if (anyAddToCartButton) {
-            const addedTextElement = anyAddToCartButton.querySelector('.add-to-cart-text--added');
-            const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
+  /**
+   * Replaces a cart line with the selected variant, keeping the quantity, properties, selling plan and position of the
+   * line. The bundle items of the line are replaced with the ones of the selected options. The variant is added before
+   * the line is removed, so the line stays as is if the variant can't be added, and the variant is removed again if
+   * the line can't be. The Cart API adds lines at the top of the cart, so the lines that sat above the line are moved
+   * back on top, and a single cart event is dispatched once the line is replaced.
+   * @param {FormData} formData - The product form data
+   * @param {import('./cart').CartRequestOptions} options - The cart request options
+   * @param {string} lineKey - The key of the line to replace
+   */
+  async #replaceLine(formData, options, lineKey) {
+    const cart = await cartStore.get();
+    const line = cart.items.find((item) => item.key === lineKey);
+    const variantId = Number(formData.get('id'));
+
+    // The line is gone, e.g. removed in another tab, or the variant didn't change
+    if (!line || line.variant_id === variantId) {
+      const dialog = this.closest('quick-add-dialog');
+      if (dialog instanceof DialogComponent) dialog.closeDialog();
+      return;
+    }
 
-            this.#setLiveRegionText(addedText);
+    /** @type {import('./cart').CartRequestOptions} */
+    const silentOptions = { ...options, sections: [], silent: true };
+    const sellingPlanId = line.selling_plan_allocation?.selling_plan.id;
+    const linesAbove = cart.items
+      .slice(0, cart.items.indexOf(line))
+      .filter((item) => !isLineOrBundleItem(item, lineKey));
+
+    const response = await cartStore.add(
+      {
+        items: [
+          {
+            id: variantId,
+            quantity: line.quantity,
+            properties: line.properties,
+            ...(sellingPlanId && { selling_plan: sellingPlanId }),
+          },
+        ],
+      },
+      silentOptions
+    );
+    const addedKey = response.data.items?.[0]?.key;
+    const bundleResponse = await this.#addBundleItems(silentOptions, addedKey);
 
-            setTimeout(() => {
-              this.#clearLiveRegionText();
-            }, SUCCESS_MESSAGE_DISPLAY_DURATION);
-          }
+    const { items } = (bundleResponse ?? response).cart;
+    const removedKeys = items.filter((item) => isLineOrBundleItem(item, lineKey)).map((item) => item.key);
 
-          // Fetch the updated cart to get the actual total quantity for this variant
-          await this.#fetchAndUpdateCartQuantity();
+    let updateResponse;
 
-          this.dispatchEvent(
-            new CartAddEvent({}, id.toString(), {
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-              sections: response.sections,
-            })
-          );
-        }
-      })
-      .catch((error) => {
+    try {
+      updateResponse = await cartStore.update(
+        { updates: Object.fromEntries(removedKeys.map((key) => [key, 0])) },
+        { ...options, silent: true }
+      );
+    } catch (error) {
+      // Keeps the cart as it was, rather than with both variants
+      const addedKeys = addedKey
+        ? items.filter((item) => isLineOrBundleItem(item, addedKey)).map((item) => item.key)
+        : [];
+
+      await cartStore
+        .update({ updates: Object.fromEntries(addedKeys.map((key) => [key, 0])) }, silentOptions)
+        .catch(console.error);
+      throw error;
+    }
+
+    const moveResponse = await cartStore.moveToTop(linesAbove, { ...options, silent: true });
+
+    cartStore.notify('update', moveResponse ?? updateResponse, options);
+  }
+
+  /**
+   * Adds the products configured by bundle rules matching the selected options.
+   * @param {import('./cart').CartRequestOptions} options - The cart request options
+   * @param {string} [parentKey] - The key of the line that was added
+   * @returns {Promise<import('./cart').CartResponse | null>} The cart response, or null if nothing was added
+   */
+  async #addBundleItems(options, parentKey) {
+    const { productOptions, selectedOptions } = this.dataset;
+    if (!productOptions || !selectedOptions) return null;
+
+    try {
+      const items = await resolveBundleItems(
+        toSelectedOptions(JSON.parse(productOptions), JSON.parse(selectedOptions)),
+        parentKey
+      );
+      if (items.length === 0) return null;
+
+      return await cartStore.add({ items }, { ...options, silent: true });
+    } catch (error) {
+      if (error instanceof CartError) {
+        console.warn('Failed to add bundle items', error.message);
+      } else {
         console.error(error);
-      })
-      .finally(() => {
-        cartPerformance.measureFromEvent('add:user-action', event);
-      });
+      }
+      return null;
+    }
   }
 
   /**
@@ -467,19 +504,6 @@ class ProductFormComponent extends Component {
     }
   }
 
-  /**
-   * @param {*} text
-   */
-  #setLiveRegionText(text) {
-    const liveRegion = this.refs.liveRegion;
-    liveRegion.textContent = text;
-  }
-
-  #clearLiveRegionText() {
-    const liveRegion = this.refs.liveRegion;
-    liveRegion.textContent = '';
-  }
-
   /**
    * Morphs or removes/adds an element based on current and new element states
    * @param {Element | null | undefined} currentElement - The current element in the DOM
@@ -510,6 +534,11 @@ class ProductFormComponent extends Component {
 
     // Update the variant ID
     variantId.value = event.detail.resource?.id ?? '';
+
+    // Keep the selected options in sync for bundle rules
+    if (event.detail.resource?.options) {
+      this.dataset.selectedOptions = JSON.stringify(event.detail.resource.options);
+    }
     const { addToCartButtonContainer: currentAddToCartButtonContainer, acceleratedCheckoutButtonContainer } = this.refs;
     const currentAddToCartButton = currentAddToCartButtonContainer?.refs.addToCartButton;
 
@@ -634,6 +663,16 @@ class ProductFormComponent extends Component {
   };
 }
 
+/**
+ * Checks whether a cart item is a line or one of the bundle items added with it.
+ * @param {import('./cart').CartItem} item - The cart item
+ * @param {string} key - The key of the line
+ * @returns {boolean}
+ */
+function isLineOrBundleItem(item, key) {
+  return item.key === key || item.properties?.[BUNDLE_PARENT_PROPERTY] === key;
+}
+
 if (!customElements.get('product-form-component')) {
   customElements.define('product-form-component', ProductFormComponent);
 }
@@ -1,588 +1,1140 @@
+import { DialogComponent, DialogCloseEvent } from '@theme/dialog';
+import { CartErrorEvent, NotificationEvent, ThemeEvents } from '@theme/events';
+import { formatMoney } from '@theme/money-formatting';
+import { parseIntOrDefault } from '@theme/utilities';
+import { resolveBundleItems, toSelectedOptions } from '@theme/bundle-rules';
+import { productCache } from '@theme/product-cache';
+import { cartStore, CartError } from '@theme/cart';
+
+// How long the fly to cart animation plays before the popup closes
+const SUCCESS_DISPLAY_DURATION = 900;
+
+// The image widths used for the gallery srcsets
+const IMAGE_WIDTHS = [240, 352, 832, 1200, 1600, 1920];
+
+// The URL hash parameters of the open popup, e.g. `#quick-view=wool-sweater&variant=123`
+const QUICK_VIEW_PARAM = 'quick-view';
+const VARIANT_PARAM = 'variant';
+
+// The history state key marking the entries added when the popup opens
+const HISTORY_STATE_KEY = 'quickView';
+
+/**
+ * @typedef {Object} ProductVariant
+ * @property {number} id - The variant ID
+ * @property {number} price - The price in minor units
+ * @property {boolean} available - Whether the variant is available
+ * @property {(string | null)[]} options - The option values
+ * @property {{ id: number } | null} featured_media - The variant media
+ */
+
+/**
+ * @typedef {Object} ProductMedia
+ * @property {number} id - The media ID
+ * @property {'image' | 'video' | 'external_video' | 'model'} media_type - The media type
+ * @property {string | null} alt - The alt text
+ * @property {number} aspect_ratio - The aspect ratio
+ * @property {{ src: string, aspect_ratio: number } | null} preview_image - The preview image
+ * @property {Array<{ url: string, mime_type: string, format: string }>} [sources] - The video or 3D model sources
+ * @property {'youtube' | 'vimeo'} [host] - The host of an external video
+ * @property {string} [external_id] - The ID of an external video
+ */
+
+/**
+ * @typedef {Object} Product
+ * @property {number} id - The product ID
+ * @property {string} title - The product title
+ * @property {string} description - The product description HTML
+ * @property {number} price - The lowest price in minor units
+ * @property {string | null} featured_image - The featured image URL
+ * @property {Array<string | { name: string }>} options - The product options
+ * @property {ProductVariant[]} variants - The product variants
+ * @property {ProductMedia[]} media - The product media
+ */
+
+/**
+ * The quantity rule of a variant.
+ * @typedef {Object} QuantityRule
+ * @property {number} min - The minimum quantity
+ * @property {number | null} max - The maximum quantity
+ * @property {number} increment - The quantity increment
+ */
+
+/** @type {QuantityRule} */
+const DEFAULT_QUANTITY_RULE = { min: 1, max: null, increment: 1 };
+
+/**
+ * The quantity rules rendered by the grid cells, keyed by variant ID.
+ */
+const QUANTITY_RULES_SELECTOR = 'script[type="application/json"][data-quantity-rules]';
+
 /**
- * ============================================================================
- * Shop the Look – Product Grid Popup Handler
- * ============================================================================
+ * The translated labels and icons used to render the gallery.
+ * @typedef {Object} GalleryOptions
+ * @property {DOMStringMap} labels - The labels, from the gallery data attributes
+ * @property {Record<string, HTMLTemplateElement | undefined>} icons - The icon templates
+ */
+
+/**
+ * @typedef {HTMLElement & {
+ *   source: Element,
+ *   destination: Element,
+ *   useSourceSize: string | boolean
+ * }} FlyToCart
+ */
+
+/**
+ * A custom element that shows a product from the Shop the Look grid in a popup,
+ * with its variant options and an add to cart button.
  *
- * Vanilla JavaScript (no jQuery) that powers the "Shop the Look" grid section.
+ * Hotspots open it with `on:click="#<popup id>/open/<product handle>"`, and load the product ahead with
+ * `on:pointerenter` and `on:focus` calling `prefetch`. Products are cached, so repeat views open instantly.
  *
- * Responsibilities
- * ────────────────
- * 1. Listen for clicks on ".js-stl-hotspot" buttons inside the grid.
- * 2. Fetch the product JSON from Shopify's `/products/<handle>.js` endpoint.
- * 3. Render a compact popup card with:
- *    - product image, title, price & description
- *    - dynamic variant option selectors (buttons for colour, dropdown for size)
- * 4. Handle "Add to Cart" via `/cart/add.js` (POST, JSON body).
- * 5. Special rule: when the selected variant includes **both** "Black" (colour)
- *    **and** "Medium" (size), automatically add the "Soft Winter Jacket"
- *    product to the same cart request.
- * 6. After a successful cart add, dispatch a `cart:update` CustomEvent so the
- *    theme's CartDrawer / header cart-count refresh automatically.
+ * The open product and variant are kept in the URL hash, e.g. `#quick-view=wool-sweater&variant=123`, so links can
+ * open the popup and the browser Back and Forward buttons close and reopen it. The first popup of the page handles them.
  *
- * Browser support: modern evergreen browsers (uses async/await, fetch, template
- * literals, optional chaining).
- * ============================================================================
+ * @typedef {object} Refs
+ * @property {HTMLDialogElement} dialog - The dialog element.
+ * @property {HTMLElement} gallery - The container for the media gallery.
+ * @property {import('./slideshow').Slideshow} [slideshow] - The media gallery slideshow.
+ * @property {HTMLTemplateElement} [playIcon] - The play icon.
+ * @property {HTMLTemplateElement} [modelIcon] - The 3D model icon.
+ * @property {HTMLTemplateElement} [closeIcon] - The close icon.
+ * @property {HTMLElement} title - The product title.
+ * @property {HTMLElement} price - The product price.
+ * @property {HTMLElement} description - The product description.
+ * @property {HTMLElement} variants - The container for the variant option selectors.
+ * @property {HTMLTemplateElement} [strikethroughIcon] - The line crossing out unavailable option values.
+ * @property {HTMLInputElement} variantId - The selected variant ID input.
+ * @property {HTMLFormElement} form - The add to cart form.
+ * @property {import('./component-quantity-selector').QuantitySelectorComponent} quantitySelector - The quantity selector.
+ * @property {HTMLButtonElement} addToCartButton - The add to cart button.
+ * @property {HTMLElement} [addToCartText] - The add to cart button text.
+ *
+ * @extends {DialogComponent}
  */
+class ProductGridPopupComponent extends DialogComponent {
+  requiredRefs = [
+    'dialog',
+    'gallery',
+    'title',
+    'price',
+    'description',
+    'variants',
+    'variantId',
+    'form',
+    'quantitySelector',
+    'addToCartButton',
+  ];
+
+  /** @type {Product | null} */
+  #product = null;
+
+  /** @type {ProductVariant | null} */
+  #selectedVariant = null;
 
-(function () {
-  'use strict';
-
-  /* ──────────────────────────────────────────────
-     DOM references (resolved once on init)
-     ────────────────────────────────────────────── */
-  /** @type {HTMLElement|null} */ let popup        = null;
-  /** @type {HTMLImageElement|null} */ let elImg    = null;
-  /** @type {HTMLElement|null} */ let elTitle       = null;
-  /** @type {HTMLElement|null} */ let elPrice       = null;
-  /** @type {HTMLElement|null} */ let elDesc        = null;
-  /** @type {HTMLElement|null} */ let elVariants    = null;
-  /** @type {HTMLInputElement|null} */ let elVarId  = null;
-  /** @type {HTMLFormElement|null} */ let elForm     = null;
-  /** @type {HTMLButtonElement|null} */ let elAtcBtn = null;
-
-  /* ──────────────────────────────────────────────
-     State
-     ────────────────────────────────────────────── */
-  /** Full product object returned by Shopify */
-  let currentProduct = null;
-
-  /** Currently resolved variant object */
-  let selectedVariant = null;
-
-  /**
-   * Map of option-name → selected-value.
-   * e.g. { Color: "Black", Size: "Medium" }
+  /**
+   * The handle of the product shown, or being loaded.
+   * @type {string | null}
+   */
+  #handle = null;
+
+  /**
+   * The selected value for each option, e.g. `{ Color: "Black", Size: "Medium" }`
    * @type {Record<string, string>}
    */
-  let selections = {};
+  #selections = {};
 
-  /* ================================================================
-     Initialisation
-     ================================================================ */
+  /** @type {AbortController | null} */
+  #abortController = null;
+
+  /** @type {Record<string, QuantityRule>} */
+  #quantityRules = {};
 
   /**
-   * Resolve cached DOM references and attach all event listeners.
-   * Called once when the DOM is ready.
+   * The quantity rule scripts already read into `#quantityRules`.
+   * @type {WeakSet<Element>}
    */
-  function init() {
-    popup      = document.getElementById('stlPopup');
-    elImg      = document.getElementById('stlPopupImg');
-    elTitle    = document.getElementById('stlPopupTitle');
-    elPrice    = document.getElementById('stlPopupPrice');
-    elDesc     = document.getElementById('stlPopupDesc');
-    elVariants = document.getElementById('stlPopupVariants');
-    elVarId    = document.getElementById('stlVariantId');
-    elForm     = document.getElementById('stlAddToCartForm');
-    elAtcBtn   = document.getElementById('stlAtcBtn');
+  #readQuantityRules = new WeakSet();
 
-    if (!popup) return; // Section not present on this page
+  /**
+   * The zoom dialog of the gallery. It's rendered outside of the popup so its clicks and key presses don't close it.
+   * @type {import('./zoom-dialog').ZoomDialog | null}
+   */
+  #zoomDialog = null;
 
-    /* --- Hotspot clicks (delegated) --- */
-    document.addEventListener('click', handleHotspotClick);
+  /** @type {number | undefined} */
+  #resetTimeout;
 
-    /* --- Close button --- */
-    const closeBtn = popup.querySelector('.js-stl-close');
-    if (closeBtn) closeBtn.addEventListener('click', closePopup);
+  connectedCallback() {
+    super.connectedCallback();
 
-    /* --- Click on backdrop (outside the card) closes popup --- */
-    popup.addEventListener('click', function (e) {
-      if (e.target === popup) closePopup();
-    });
+    this.addEventListener(DialogCloseEvent.eventName, this.#handleClose);
+    window.addEventListener('popstate', this.#syncWithURL);
+    window.addEventListener('hashchange', this.#syncWithURL);
 
-    /* --- ESC key closes popup --- */
-    document.addEventListener('keydown', function (e) {
-      if (e.key === 'Escape' && popup.getAttribute('aria-hidden') === 'false') {
-        closePopup();
-      }
-    });
+    this.#syncWithURL();
+  }
 
-    /* --- Form submit → Add to Cart --- */
-    if (elForm) {
-      elForm.addEventListener('submit', function (e) {
-        e.preventDefault();
-        handleAddToCart();
-      });
-    }
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.removeEventListener(DialogCloseEvent.eventName, this.#handleClose);
+    window.removeEventListener('popstate', this.#syncWithURL);
+    window.removeEventListener('hashchange', this.#syncWithURL);
+    this.#abortController?.abort();
+    this.#zoomDialog?.remove();
+    clearTimeout(this.#resetTimeout);
   }
 
-  // Boot when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
+  /**
+   * Loads a product and shows it in the popup, adding a history entry for it.
+   * @param {string} handle - The product handle
+   */
+  open(handle) {
+    this.#open(String(handle));
+    this.#updateURL({ push: true });
   }
 
-  /* ================================================================
-     Hotspot click handler
-     ================================================================ */
+  /**
+   * Loads a product ahead of the popup opening, e.g. when its hotspot is hovered or focused.
+   * @param {string} handle - The product handle
+   */
+  prefetch(handle) {
+    productCache.prefetch(String(handle));
+  }
 
   /**
-   * Delegated click handler – opens the popup if a hotspot was clicked.
-   * @param {MouseEvent} e
+   * Loads a product and shows it in the popup.
+   * @param {string} handle - The product handle
+   * @param {number | null} [variantId] - The variant to select, the first available variant is selected when missing
    */
-  function handleHotspotClick(e) {
-    const btn = e.target.closest('.js-stl-hotspot');
-    if (!btn) return;
+  async #open(handle, variantId = null) {
+    this.#reset();
+    this.#handle = handle;
+    this.#abortController = new AbortController();
+
+    const { signal } = this.#abortController;
 
-    e.preventDefault();
-    e.stopPropagation();
+    this.showDialog();
+    this.#setLoading(true);
+
+    try {
+      // The request is shared with prefetches, so a newer product replacing this one leaves it running
+      const product = /** @type {Product} */ (await productCache.get(handle));
+      if (signal.aborted) return;
 
-    const handle = btn.getAttribute('data-product-handle');
-    if (handle) openPopup(handle);
+      this.#setLoading(false);
+      this.#render(product, variantId);
+    } catch (error) {
+      if (signal.aborted) return;
+
+      console.error(error);
+      this.#refs.title.textContent = this.dataset.loadErrorText ?? '';
+    }
   }
 
-  /* ================================================================
-     Open / Close popup
-     ================================================================ */
+  /**
+   * Selects an option value from one of the variant option selectors.
+   * @param {Event} event - The click or change event
+   */
+  selectOption(event) {
+    const target = /** @type {HTMLButtonElement | HTMLSelectElement} */ (event.target);
+    const name = target.dataset.optionName;
+    const optionNames = this.#optionNames;
+    const optionIndex = name ? optionNames.indexOf(name) : -1;
+    if (!name || optionIndex === -1 || target.getAttribute('aria-disabled') === 'true') return;
+
+    this.#selections[name] = target.value;
+
+    // Keep the following options when they still form an available variant, otherwise pick their first available value
+    for (let index = optionIndex + 1; index < optionNames.length; index++) {
+      const followingName = /** @type {string} */ (optionNames[index]);
+      if (this.#isOptionValueAvailable(index, this.#selections[followingName])) continue;
+
+      const value = this.#getOptionValues(index).find((value) => this.#isOptionValueAvailable(index, value));
+      if (value != null) this.#selections[followingName] = value;
+    }
+
+    this.#updateSelectedVariant();
+    this.#updateVariantSelectors();
+  }
 
   /**
-   * Fetch product data and show the popup card.
-   * @param {string} handle – Shopify product handle
+   * Adds the selected variant, and the products from matching bundle rules, to the cart.
+   * @param {SubmitEvent} event - The submit event
    */
-  async function openPopup(handle) {
-    // Reset state
-    currentProduct  = null;
-    selectedVariant = null;
-    selections      = {};
+  async handleSubmit(event) {
+    event.preventDefault();
+
+    const product = this.#product;
+    const variant = this.#selectedVariant;
+    const { addToCartButton, quantitySelector } = this.#refs;
+
+    if (!product || !variant?.available || addToCartButton.disabled) return;
+    if (!quantitySelector.canAddToCart().canAdd) return;
+
+    addToCartButton.disabled = true;
+    this.#setButtonText(this.dataset.addingText ?? '');
 
-    // Show popup in loading state
-    showPopup();
-    setLoading(true);
+    const quantity = parseIntOrDefault(quantitySelector.getValue(), 1);
 
     try {
-      const res = await fetch('/products/' + handle + '.js');
-      if (!res.ok) throw new Error('HTTP ' + res.status);
-
-      currentProduct = await res.json();
-      populatePopup(currentProduct);
-    } catch (err) {
-      console.error('[STL] Failed to load product:', err);
-      if (elTitle) elTitle.textContent = 'Unable to load product';
-    } finally {
-      setLoading(false);
-    }
-  }
+      /** @type {import('./cart').CartRequestOptions} */
+      const options = {
+        target: this,
+        sourceId: variant.id.toString(),
+        source: 'product-form-component',
+        sections: this.#cartSectionIds,
+        eventData: { productId: product.id.toString(), variantId: variant.id.toString() },
+      };
+
+      const items = [{ id: variant.id, quantity, properties: this.#lineItemProperties }];
+      let response = await this.#addToCart(items, options);
+
+      // Add the products from matching bundle rules, linked to the added line so the cart keeps them in sync
+      const bundleItems = await resolveBundleItems(this.#selections, response.data.items?.[0]?.key);
+
+      if (bundleItems.length > 0) {
+        try {
+          response = await this.#addToCart(bundleItems, options);
+        } catch (error) {
+          console.warn('Failed to add bundle items', error);
+        }
+      }
 
-  /** Make the popup visible. */
-  function showPopup() {
-    if (!popup) return;
-    popup.setAttribute('aria-hidden', 'false');
-    document.body.style.overflow = 'hidden';
-  }
+      this.#setButtonText();
+      this.#animateFlyToCart();
+
+      cartStore.notify('add', response, options);
 
-  /** Hide the popup and reset transient state. */
-  function closePopup() {
-    if (!popup) return;
-    popup.setAttribute('aria-hidden', 'true');
-    document.body.style.overflow = '';
-    currentProduct  = null;
-    selectedVariant = null;
-    selections      = {};
+      this.#resetTimeout = setTimeout(this.closeDialog, SUCCESS_DISPLAY_DURATION);
+    } catch (error) {
+      console.error(error);
+
+      // Cart errors are already shown by the cart error event
+      if (!(error instanceof CartError)) {
+        this.dispatchEvent(new NotificationEvent(this.dataset.errorText ?? '', { type: 'error' }));
+      }
+
+      this.#updateAddToCartButton();
+    }
   }
 
   /**
-   * Toggle a simple loading indicator on the ATC button.
-   * @param {boolean} loading
+   * Adds items to the cart, rendering the cart sections in the response.
+   * The cart event is dispatched once the product and its bundle items are added.
+   * @param {Array<{ id: number, quantity: number, properties: Record<string, string> }>} items - The items to add
+   * @param {import('./cart').CartRequestOptions} options - The cart request options
+   * @returns {Promise<import('./cart').CartResponse>} The cart response
    */
-  function setLoading(loading) {
-    if (!elAtcBtn) return;
-    elAtcBtn.disabled = loading;
+  async #addToCart(items, options) {
+    try {
+      return await cartStore.add({ items }, { ...options, silent: true });
+    } catch (error) {
+      if (error instanceof CartError) {
+        const { message, description = message, errors } = error;
+        this.dispatchEvent(new CartErrorEvent(this.id, message, description, errors));
+      }
+      throw error;
+    }
   }
 
-  /* ================================================================
-     Populate popup with product data
-     ================================================================ */
-
   /**
-   * Fill every element of the popup card with data from the product JSON.
-   * @param {Object} product
+   * Fills the popup with the product data.
+   * @param {Product} product - The product
+   * @param {number | null} variantId - The variant to select
    */
-  function populatePopup(product) {
-    /* ── Image ── */
-    if (elImg && product.featured_image) {
-      elImg.src = product.featured_image;
-      elImg.alt = product.title;
-    }
+  #render(product, variantId) {
+    const { title, price, description } = this.#refs;
 
-    /* ── Title ── */
-    if (elTitle) elTitle.textContent = product.title;
+    this.#product = product;
+    this.#renderGallery(product.media ?? []);
 
-    /* ── Price ── */
-    if (elPrice) elPrice.textContent = formatMoney(product.price);
+    title.textContent = product.title;
+    price.textContent = this.#formatMoney(product.price);
 
-    /* ── Description (strip HTML, clamp via CSS) ── */
-    if (elDesc) {
-      const raw = product.description || '';
-      const tmp = document.createElement('div');
-      tmp.innerHTML = raw;
-      elDesc.textContent = tmp.textContent || tmp.innerText || '';
-    }
+    // Strip the HTML, the description is clamped with CSS
+    description.textContent = new DOMParser().parseFromString(product.description || '', 'text/html').body.textContent;
 
-    /* ── Variants ── */
-    renderVariantSelectors(product);
+    // Start from the requested variant, or the first available one, falling back to the first variant when sold out
+    const variant =
+      product.variants.find((variant) => variant.id === variantId) ??
+      product.variants.find((variant) => variant.available) ??
+      product.variants[0];
+    this.#selections = toSelectedOptions(this.#optionNames, /** @type {string[]} */ (variant?.options ?? []));
 
-    /* ── Set default variant ── */
-    selectedVariant = product.variants[0];
-    if (elVarId && selectedVariant) elVarId.value = selectedVariant.id;
+    this.#renderVariantSelectors();
+    this.#updateSelectedVariant();
+    this.#updateVariantSelectors();
   }
 
-  /* ================================================================
-     Variant rendering
-     ================================================================ */
-
-  /**
-   * Build variant-option UI dynamically from the product's `options` array.
-   *
-   * Convention used in the Figma design:
-   *   • "Size" options → `<select>` dropdown with a "Choose your size" placeholder.
-   *   • All other options (e.g. "Color") → a row of `<button>` elements.
-   *
-   * @param {Object} product – full product JSON
-   */
-  function renderVariantSelectors(product) {
-    if (!elVariants) return;
-    elVariants.innerHTML = '';
-
-    /*
-     * Normalise options – the /products/<handle>.js endpoint may return:
-     *   • strings:  ["Color", "Size"]
-     *   • objects:  [{name: "Color", position: 1, values: [...]}, …]
-     * We flatten to a plain string array so .toLowerCase() always works.
-     */
-    var optionNames = (product.options || []).map(function (opt) {
-      return typeof opt === 'string' ? opt : (opt && opt.name ? opt.name : String(opt));
-    });
+  /**
+   * Renders the media gallery and its zoom dialog.
+   * @param {ProductMedia[]} media - The product media
+   */
+  #renderGallery(media) {
+    const { gallery, playIcon, modelIcon, closeIcon } = this.#refs;
 
-    // Cache the normalised list so resolveVariant can use it too
-    product._optionNames = optionNames;
+    /** @type {GalleryOptions} */
+    const options = { labels: gallery.dataset, icons: { play: playIcon, model: modelIcon, close: closeIcon } };
+    const zoomDialogId = `${this.id}-zoom`;
 
-    // Skip rendering if there are no meaningful options
-    if (
-      optionNames.length === 0 ||
-      (optionNames.length === 1 && optionNames[0] === 'Title')
-    ) {
-      return;
-    }
+    this.#zoomDialog?.remove();
+    this.#zoomDialog = /** @type {import('./zoom-dialog').ZoomDialog} */ (createZoomDialog(zoomDialogId, media, options));
+    this.#zoomDialog.addEventListener(ThemeEvents.zoomMediaSelected, this.#handleZoomMediaSelected);
+    this.after(this.#zoomDialog);
+
+    gallery.replaceChildren(media.length > 0 ? createSlideshow(zoomDialogId, media, options) : '');
+  }
+
+  /**
+   * Keeps the gallery in sync with the media selected in the zoom dialog.
+   * @param {Event} event - The zoom media selected event
+   */
+  #handleZoomMediaSelected = (event) => {
+    const { index } = /** @type {CustomEvent<{ index: number }>} */ (event).detail;
+    this.#refs.slideshow?.select(index, undefined, { animate: false });
+  };
+
+  /**
+   * Renders a selector for each of the product options.
+   * "Size" options use a dropdown, other options (e.g. "Color") use a row of buttons.
+   */
+  #renderVariantSelectors() {
+    const { variants } = this.#refs;
+    const optionNames = this.#optionNames;
+
+    variants.replaceChildren();
 
-    optionNames.forEach(function (optionName, idx) {
-      var position = idx + 1;                         // Shopify uses 1-based option positions
-      var values   = getUniqueOptionValues(product, position);
+    // Products without options only have the default "Title" option
+    if (optionNames.length === 0 || (optionNames.length === 1 && optionNames[0] === 'Title')) return;
+
+    optionNames.forEach((name, index) => {
+      const values = this.#getOptionValues(index);
       if (values.length === 0) return;
 
-      // Wrapper
-      var group = document.createElement('div');
+      const group = document.createElement('div');
       group.className = 'stl__variant-group';
 
-      // Label
-      var label = document.createElement('span');
+      const label = document.createElement('span');
       label.className = 'stl__variant-label';
-      label.textContent = optionName;
-      group.appendChild(label);
-
-      // Decide: dropdown for "Size", buttons for everything else
-      if (optionName.toLowerCase() === 'size') {
-        group.appendChild(buildSelect(optionName, values));
-      } else {
-        group.appendChild(buildButtons(optionName, values));
-      }
+      label.textContent = name;
 
-      elVariants.appendChild(group);
+      group.append(label, name.toLowerCase() === 'size' ? this.#buildSelect(name, values) : this.#buildButtons(name, values));
+      variants.append(group);
     });
   }
 
   /**
-   * Create a `<select>` element for a given option (typically "Size").
-   * @param {string} name   – option name (e.g. "Size")
-   * @param {string[]} values – unique option values
-   * @returns {HTMLSelectElement}
+   * Builds a dropdown for an option.
+   * @param {string} name - The option name
+   * @param {string[]} values - The option values
+   * @returns {HTMLSelectElement} The dropdown
    */
-  function buildSelect(name, values) {
+  #buildSelect(name, values) {
     const select = document.createElement('select');
     select.className = 'stl__variant-select';
+    select.dataset.optionName = name;
+    select.setAttribute('on:change', '/selectOption');
 
-    // Placeholder
-    const placeholder = document.createElement('option');
-    placeholder.value    = '';
-    placeholder.textContent = 'Choose your ' + name.toLowerCase();
+    const placeholderText = (this.dataset.chooseOptionText ?? '').replace('[option]', name.toLowerCase());
+    const placeholder = new Option(placeholderText, '');
     placeholder.disabled = true;
-    placeholder.selected = true;
-    select.appendChild(placeholder);
-
-    values.forEach(function (val) {
-      const opt = document.createElement('option');
-      opt.value       = val;
-      opt.textContent = val;
-      select.appendChild(opt);
-    });
-
-    // Pre-select first real value
-    if (values.length > 0) {
-      select.value = values[0];
-      selections[name] = values[0];
-    }
 
-    select.addEventListener('change', function () {
-      selections[name] = select.value;
-      resolveVariant();
-    });
+    select.append(placeholder, ...values.map((value) => new Option(value, value)));
 
     return select;
   }
 
   /**
-   * Create a row of `<button>` elements for an option (e.g. "Color").
-   * @param {string} name
-   * @param {string[]} values
-   * @returns {HTMLDivElement}
+   * Builds a row of buttons for an option.
+   * @param {string} name - The option name
+   * @param {string[]} values - The option values
+   * @returns {HTMLDivElement} The button row
    */
-  function buildButtons(name, values) {
-    const wrap = document.createElement('div');
-    wrap.className = 'stl__variant-btns';
+  #buildButtons(name, values) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'stl__variant-btns';
+
+    for (const value of values) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'stl__variant-btn';
+      button.textContent = value;
+      button.value = value;
+      button.dataset.optionName = name;
+      button.setAttribute('on:click', '/selectOption');
+
+      wrapper.append(button);
+    }
 
-    values.forEach(function (val, i) {
-      const btn = document.createElement('button');
-      btn.type      = 'button';
-      btn.className = 'stl__variant-btn';
-      btn.textContent = val;
+    return wrapper;
+  }
 
-      // First value is active by default
-      if (i === 0) {
-        btn.classList.add('is-active');
-        selections[name] = val;
-      }
+  /**
+   * Finds the variant matching the selected options, updates the price and shows the variant media.
+   */
+  #updateSelectedVariant() {
+    if (!this.#product) return;
 
-      btn.addEventListener('click', function () {
-        // Toggle active state within this group
-        wrap.querySelectorAll('.stl__variant-btn').forEach(function (b) {
-          b.classList.remove('is-active');
-        });
-        btn.classList.add('is-active');
+    const selectedValues = this.#optionNames.map((name) => this.#selections[name]);
+    const variant =
+      this.#product.variants.find((variant) =>
+        selectedValues.every((value, index) => variant.options[index] === value)
+      ) ?? null;
 
-        selections[name] = val;
-        resolveVariant();
-      });
+    this.#selectedVariant = variant;
+    this.#refs.variantId.value = variant?.id.toString() ?? '';
+    this.#updateAddToCartButton();
+    this.#updateURL({ push: false });
 
-      wrap.appendChild(btn);
-    });
+    if (!variant) return;
 
-    return wrap;
+    this.#refs.price.textContent = this.#formatMoney(variant.price);
+    this.#updateQuantityRule(variant);
+
+    const mediaIndex = this.#product.media?.findIndex((media) => media.id === variant.featured_media?.id) ?? -1;
+    if (mediaIndex !== -1) this.#refs.slideshow?.select(mediaIndex);
   }
 
-  /* ================================================================
-     Variant resolution
-     ================================================================ */
+  /**
+   * Applies the quantity rule of a variant to the quantity selector, snapping the quantity to a valid value.
+   * @param {ProductVariant} variant - The variant
+   */
+  #updateQuantityRule(variant) {
+    const { min, max, increment } = this.#getQuantityRule(variant.id);
+
+    this.#refs.quantitySelector.updateConstraints(min.toString(), max?.toString() ?? null, increment.toString());
+  }
 
   /**
-   * Given the current `selections` map, find the matching variant in
-   * `currentProduct.variants` and update the hidden input + displayed price.
+   * Gets the quantity rule of a variant. Variants outside the grid use the default rule.
+   * @param {number} variantId - The variant ID
+   * @returns {QuantityRule} The quantity rule
    */
-  function resolveVariant() {
-    if (!currentProduct) return;
+  #getQuantityRule(variantId) {
+    // Cells of pages loaded later bring their own rules
+    for (const script of document.querySelectorAll(QUANTITY_RULES_SELECTOR)) {
+      if (this.#readQuantityRules.has(script)) continue;
+      this.#readQuantityRules.add(script);
 
-    // Use the normalised option-name list (populated by renderVariantSelectors)
-    var optionNames = currentProduct._optionNames || (currentProduct.options || []).map(function (opt) {
-      return typeof opt === 'string' ? opt : (opt && opt.name ? opt.name : String(opt));
-    });
+      try {
+        Object.assign(this.#quantityRules, JSON.parse(script.textContent || '{}'));
+      } catch (error) {
+        console.warn('Invalid quantity rules', error);
+      }
+    }
 
-    const match = currentProduct.variants.find(function (v) {
-      return Object.keys(selections).every(function (optName) {
-        var idx = optionNames.indexOf(optName);
-        if (idx === -1) return true;
-        return v['option' + (idx + 1)] === selections[optName];
-      });
-    });
+    return { ...DEFAULT_QUANTITY_RULE, ...this.#quantityRules[variantId] };
+  }
+
+  /**
+   * Reflects the selected options in the selectors, and crosses out the values that can't form an available variant.
+   */
+  #updateVariantSelectors() {
+    const { variants, strikethroughIcon } = this.#refs;
+    const optionNames = this.#optionNames;
+    const unavailableText = this.dataset.unavailableText ?? '';
 
-    if (match) {
-      selectedVariant = match;
-      if (elVarId) elVarId.value = match.id;
-      if (elPrice) elPrice.textContent = formatMoney(match.price);
+    for (const element of variants.querySelectorAll('[data-option-name]')) {
+      if (!(element instanceof HTMLElement)) continue;
 
-      // Swap image when the variant carries its own featured image
-      if (match.featured_image && elImg) {
-        elImg.src = match.featured_image.src;
+      const index = optionNames.indexOf(element.dataset.optionName ?? '');
+      const selectedValue = this.#selections[element.dataset.optionName ?? ''];
+
+      if (element instanceof HTMLSelectElement) {
+        for (const option of element.options) {
+          if (!option.value) continue;
+
+          const available = this.#isOptionValueAvailable(index, option.value);
+          option.disabled = !available;
+          option.textContent = available ? option.value : `${option.value} - ${unavailableText}`;
+        }
+
+        element.value = selectedValue ?? '';
+      } else if (element instanceof HTMLButtonElement) {
+        const available = this.#isOptionValueAvailable(index, element.value);
+
+        element.classList.toggle('is-active', element.value === selectedValue);
+        element.setAttribute('aria-pressed', String(element.value === selectedValue));
+        element.disabled = !available;
+        element.dataset.optionAvailable = String(available);
+        element.querySelector('.variant-option__strikethrough')?.remove();
+
+        if (!available && strikethroughIcon) element.append(strikethroughIcon.content.cloneNode(true));
       }
     }
   }
 
-  /* ================================================================
-     Add to Cart
-     ================================================================ */
+  /**
+   * Updates the add to cart button for the selected variant.
+   * It's disabled when the variant is sold out or doesn't exist.
+   */
+  #updateAddToCartButton() {
+    const variant = this.#selectedVariant;
+
+    this.#refs.addToCartButton.disabled = !variant?.available;
+    this.#setButtonText(
+      !variant ? this.dataset.unavailableText : !variant.available ? this.dataset.soldOutText : undefined
+    );
+  }
 
   /**
-   * POST selected variant(s) to `/cart/add.js`.
-   * If the user picked **Black + Medium**, we also add "Soft Winter Jacket".
+   * Whether an option value forms an available variant with the values selected for the preceding options,
+   * the same way the main variant picker crosses out values.
+   * @param {number} index - The option index
+   * @param {string | undefined} value - The option value
+   * @returns {boolean} Whether the value is available
    */
-  async function handleAddToCart() {
-    if (!selectedVariant) return;
+  #isOptionValueAvailable(index, value) {
+    const precedingValues = this.#optionNames.slice(0, index).map((name) => this.#selections[name]);
+
+    return (
+      this.#product?.variants.some(
+        (variant) =>
+          variant.available &&
+          variant.options[index] === value &&
+          precedingValues.every((precedingValue, precedingIndex) => variant.options[precedingIndex] === precedingValue)
+      ) ?? false
+    );
+  }
 
-    // Build items array (primary product first)
-    var items = [{ id: selectedVariant.id, quantity: 1 }];
+  /**
+   * Gets the unique values of an option.
+   * @param {number} index - The option index
+   * @returns {string[]} The option values
+   */
+  #getOptionValues(index) {
+    const values = this.#product?.variants.map((variant) => variant.options[index]) ?? [];
 
-    /* ── Special rule: Black + Medium → auto-add Soft Winter Jacket ── */
-    var hasBlack  = Object.values(selections).some(function (v) {
-      return v.toLowerCase().trim() === 'black';
-    });
-    var hasMedium = Object.values(selections).some(function (v) {
-      return v.toLowerCase().trim() === 'medium';
-    });
+    return [...new Set(values.filter((value) => value != null))];
+  }
 
-    if (hasBlack && hasMedium) {
-      try {
-        var jacketRes = await fetch('/products/soft-winter-jacket.js');
-        if (jacketRes.ok) {
-          var jacket = await jacketRes.json();
-          if (jacket && jacket.variants && jacket.variants.length) {
-            items.push({ id: jacket.variants[0].id, quantity: 1 });
-          }
-        }
-      } catch (err) {
-        console.warn('[STL] Could not fetch Soft Winter Jacket:', err);
-      }
+  /**
+   * Animates the product image flying to the cart icon.
+   */
+  #animateFlyToCart() {
+    const { gallery } = this.#refs;
+    const cartIcon = document.querySelector('.header-actions__cart-icon');
+    const image =
+      gallery.querySelector('slideshow-slide[aria-hidden="false"] img') ?? gallery.querySelector('slideshow-slide img');
+
+    if (this.dataset.addToCartAnimation !== 'true' || !cartIcon || !(image instanceof HTMLImageElement)) return;
+
+    const flyToCartElement = /** @type {FlyToCart} */ (document.createElement('fly-to-cart'));
+
+    flyToCartElement.classList.add('fly-to-cart--quick');
+    flyToCartElement.style.setProperty('background-image', `url(${image.currentSrc || image.src})`);
+    flyToCartElement.useSourceSize = 'true';
+    flyToCartElement.source = image;
+    flyToCartElement.destination = cartIcon;
+
+    document.body.appendChild(flyToCartElement);
+  }
+
+  /**
+   * Toggles the loading state of the popup.
+   * @param {boolean} loading - Whether the product is loading
+   */
+  #setLoading(loading) {
+    this.#refs.addToCartButton.disabled = loading;
+    this.toggleAttribute('data-loading', loading);
+  }
+
+  /**
+   * Sets the add to cart button text, or restores the original text.
+   * @param {string} [text] - The text to show
+   */
+  #setButtonText(text) {
+    const { addToCartText } = this.#refs;
+    if (!addToCartText) return;
+
+    addToCartText.dataset.defaultText ??= addToCartText.textContent ?? '';
+    addToCartText.textContent = text ?? addToCartText.dataset.defaultText;
+  }
+
+  /**
+   * Formats a price with the shop's money format.
+   * @param {number} price - The price in minor units
+   * @returns {string} The formatted price
+   */
+  #formatMoney(price) {
+    return formatMoney(price, this.dataset.moneyFormat || '{{amount}}', this.dataset.currency || '');
+  }
+
+  /**
+   * Opens or closes the popup to match the URL hash, for links to a product and the browser history.
+   */
+  #syncWithURL = () => {
+    if (document.querySelector('product-grid-popup-component') !== this) return;
+
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const handle = params.get(QUICK_VIEW_PARAM);
+
+    if (handle) {
+      if (handle !== this.#handle) this.#open(handle, Number(params.get(VARIANT_PARAM)) || null);
+    } else if (this.#handle) {
+      this.#handle = null;
+      this.closeDialog();
     }
+  };
 
-    // Disable button while request is in flight
-    var origHTML = elAtcBtn.innerHTML;
-    elAtcBtn.disabled  = true;
-    elAtcBtn.textContent = 'Adding…';
+  /**
+   * Reflects the open product and the selected variant in the URL hash.
+   * @param {{ push: boolean }} options - Whether to add a history entry, rather than replacing the current one
+   */
+  #updateURL({ push }) {
+    if (!this.#handle) return;
 
-    try {
-      var res = await fetch('/cart/add.js', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
-        body: JSON.stringify({ items: items }),
-      });
-
-      if (!res.ok) throw new Error('Cart API returned ' + res.status);
-
-      /* ── Success ── */
-      elAtcBtn.textContent = 'Added ✓';
-
-      // Refresh the theme's cart state (drawer, icon count, etc.)
-      refreshCart();
-
-      // Close popup after a brief success flash
-      setTimeout(function () {
-        closePopup();
-        elAtcBtn.innerHTML = origHTML;
-        elAtcBtn.disabled  = false;
-      }, 900);
-
-    } catch (err) {
-      console.error('[STL] Add-to-cart error:', err);
-      elAtcBtn.textContent = 'Error – try again';
-      setTimeout(function () {
-        elAtcBtn.innerHTML = origHTML;
-        elAtcBtn.disabled  = false;
-      }, 2000);
+    const params = new URLSearchParams({ [QUICK_VIEW_PARAM]: this.#handle });
+    if (this.#selectedVariant) params.set(VARIANT_PARAM, this.#selectedVariant.id.toString());
+
+    const url = new URL(window.location.href);
+    url.hash = params.toString();
+
+    if (push) {
+      history.pushState({ [HISTORY_STATE_KEY]: this.#handle }, '', url.toString());
+    } else {
+      history.replaceState(history.state, '', url.toString());
     }
   }
 
-  /* ================================================================
-     Cart refresh – integrate with the theme's existing cart system
-     ================================================================ */
+  /**
+   * Resets the popup and takes its product out of the URL once it closes.
+   * Goes back when the popup added the history entry, so Back doesn't reopen it.
+   */
+  #handleClose = () => {
+    const hasHandle = new URLSearchParams(window.location.hash.slice(1)).has(QUICK_VIEW_PARAM);
+
+    this.#reset();
+    this.#handle = null;
+
+    if (!hasHandle) return;
+
+    if (history.state?.[HISTORY_STATE_KEY]) {
+      history.back();
+    } else {
+      const url = new URL(window.location.href);
+      url.hash = '';
+      history.replaceState(history.state, '', url.toString());
+    }
+  };
 
   /**
-   * After adding items we:
-   *  1. Fetch the updated cart JSON.
-   *  2. Update any visible cart-count badges.
-   *  3. Dispatch a `cart:update` CustomEvent so the theme's CartDrawer
-   *     (which listens on `document`) can re-render itself.
+   * Resets the popup state.
    */
-  async function refreshCart() {
-    try {
-      var res  = await fetch('/cart.js', { headers: { Accept: 'application/json' } });
-      var cart = await res.json();
-
-      // Update header cart-count badges
-      document.querySelectorAll('[data-cart-count], .cart-count-bubble span, cart-icon-component .count').forEach(function (el) {
-        el.textContent = cart.item_count;
-      });
-
-      // Dispatch the same event name the theme's CartDrawer listens for
-      document.dispatchEvent(
-        new CustomEvent('cart:update', {
-          bubbles: true,
-          detail: { cart: cart },
-        })
-      );
-    } catch (err) {
-      console.warn('[STL] Could not refresh cart state:', err);
+  #reset = () => {
+    this.#abortController?.abort();
+    clearTimeout(this.#resetTimeout);
+
+    this.#product = null;
+    this.#selectedVariant = null;
+    this.#selections = {};
+
+    this.#zoomDialog?.remove();
+    this.#zoomDialog = null;
+    this.#refs.gallery.replaceChildren();
+
+    // Clear the gift options and restore the default quantity, then refresh the gift note character count
+    this.#refs.form.reset();
+    this.#refs.form.querySelector('textarea')?.dispatchEvent(new Event('input', { bubbles: true }));
+
+    this.#setButtonText();
+    this.#refs.addToCartButton.disabled = false;
+  };
+
+  /**
+   * Gets the line item properties filled in the form, e.g. the gift options. Empty fields are left out.
+   * @returns {Record<string, string>} The properties, keyed by name
+   */
+  get #lineItemProperties() {
+    /** @type {Record<string, string>} */
+    const properties = {};
+
+    for (const [name, value] of new FormData(this.#refs.form)) {
+      const propertyName = name.match(/^properties\[(.+)\]$/)?.[1];
+      if (propertyName && typeof value === 'string' && value.trim()) properties[propertyName] = value.trim();
     }
-  }
 
-  /* ================================================================
-     Helpers
-     ================================================================ */
+    return properties;
+  }
 
   /**
-   * Collect unique values for a product option by position (1-based).
-   * @param {Object} product
-   * @param {number} position – 1, 2 or 3
-   * @returns {string[]}
+   * Gets the option names of the product.
+   * @returns {string[]} The option names
    */
-  function getUniqueOptionValues(product, position) {
-    var seen = [];
-    product.variants.forEach(function (v) {
-      var val = v['option' + position];
-      if (val && seen.indexOf(val) === -1) seen.push(val);
-    });
-    return seen;
+  get #optionNames() {
+    return (this.#product?.options ?? []).map((option) => (typeof option === 'string' ? option : option.name));
   }
 
   /**
-   * Format a price (in cents/minor units) according to the shop's money format.
-   *
-   * Falls back to `${{amount}}` if `window.theme.moneyFormat` is unavailable.
-   * Supports all Shopify format placeholders.
-   *
-   * @param {number|string} cents
-   * @returns {string}
-   */
-  function formatMoney(cents) {
-    if (typeof cents === 'string') cents = cents.replace('.', '');
-    cents = parseInt(cents, 10) || 0;
-
-    var fmt = (window.theme && window.theme.moneyFormat)
-           || (window.Theme && window.Theme.moneyFormat)
-           || '${{amount}}';
-
-    /**
-     * @param {number} num
-     * @param {number} precision
-     * @param {string} thousands
-     * @param {string} decimal
-     * @returns {string}
-     */
-    function delimit(num, precision, thousands, decimal) {
-      precision = precision == null ? 2 : precision;
-      thousands = thousands || ',';
-      decimal   = decimal   || '.';
-
-      var fixed = (num / 100).toFixed(precision);
-      var parts = fixed.split('.');
-      var left  = parts[0].replace(/(\d)(?=(\d{3})+(?!\d))/g, '$1' + thousands);
-      return parts[1] ? left + decimal + parts[1] : left;
-    }
+   * Gets the IDs of the sections rendering cart items, so they can be updated with the cart add response.
+   * @returns {string[]} The section IDs
+   */
+  get #cartSectionIds() {
+    /** @type {string[]} */
+    const sectionIds = [];
 
-    var placeholder = /\{\{\s*(\w+)\s*\}\}/;
-    var key = (fmt.match(placeholder) || [])[1] || 'amount';
-
-    var value;
-    switch (key) {
-      case 'amount':
-        value = delimit(cents, 2); break;
-      case 'amount_no_decimals':
-        value = delimit(cents, 0); break;
-      case 'amount_with_comma_separator':
-        value = delimit(cents, 2, '.', ','); break;
-      case 'amount_no_decimals_with_comma_separator':
-        value = delimit(cents, 0, '.', ','); break;
-      case 'amount_no_decimals_with_space_separator':
-        value = delimit(cents, 0, ' '); break;
-      default:
-        value = delimit(cents, 2);
+    for (const element of document.querySelectorAll('cart-items-component')) {
+      if (element instanceof HTMLElement && element.dataset.sectionId) sectionIds.push(element.dataset.sectionId);
     }
 
-    return fmt.replace(placeholder, value);
+    return sectionIds;
+  }
+
+  /**
+   * Gets the refs.
+   * @returns {Refs} The refs
+   */
+  get #refs() {
+    return /** @type {Refs} */ (/** @type {unknown} */ (this.refs));
+  }
+}
+
+if (!customElements.get('product-grid-popup-component')) {
+  customElements.define('product-grid-popup-component', ProductGridPopupComponent);
+}
+
+/**
+ * Creates the gallery slideshow, with thumbnails when there are multiple media.
+ * Mirrors the markup of the `slideshow` snippet as rendered by `product-media-gallery-content`.
+ * @param {string} zoomDialogId - The ID of the zoom dialog
+ * @param {ProductMedia[]} media - The product media
+ * @param {GalleryOptions} options - The labels and icons
+ * @returns {HTMLElement} The slideshow
+ */
+function createSlideshow(zoomDialogId, media, options) {
+  const slides = media.map((item, index) =>
+    createElement(
+      'slideshow-slide',
+      {
+        ref: 'slides[]',
+        'aria-hidden': `${index !== 0}`,
+        class: `product-media-container media-fit-contain product-media-container--${item.media_type}${
+          item.media_type === 'model' ? '' : ' product-media-container--zoomable'
+        }`,
+        style: `--slideshow-timeline: --slide-${index}; --product-media-fit: contain;`,
+        'on:click': item.media_type === 'model' ? undefined : `#${zoomDialogId}/open/${index}`,
+      },
+      [createProductMedia(item, '(min-width: 750px) 560px, 100vw', options)]
+    )
+  );
+
+  const thumbnails = media.map((item, index) =>
+    createElement(
+      'button',
+      {
+        type: 'button',
+        class: 'slideshow-control button button-unstyled slideshow-controls__thumbnail',
+        'aria-label': (options.labels.slideLabel ?? '')
+          .replace('[index]', `${index + 1}`)
+          .replace('[length]', `${media.length}`),
+        'on:click': `/select/${index}`,
+        style: `--aspect-ratio: ${item.preview_image?.aspect_ratio ?? 1};`,
+        ref: 'thumbnails[]',
+        'aria-selected': index === 0 ? 'true' : undefined,
+      },
+      [
+        createImage(item.preview_image?.src, { alt: item.alt, widths: [144], sizes: '144px' }),
+        ...createThumbnailBadge(item, options),
+      ]
+    )
+  );
+
+  return createElement(
+    'slideshow-component',
+    {
+      ref: 'slideshow',
+      class: media.length <= 1 ? 'slideshow--single-media' : undefined,
+      style: `--slideshow-timeline: ${media.map((_, index) => `--slide-${index}`).join(', ')};`,
+      'initial-slide': '0',
+    },
+    [
+      createElement('slideshow-container', { ref: 'slideshowContainer' }, [
+        createElement('slideshow-slides', { tabindex: '-1', ref: 'scroller' }, slides),
+      ]),
+      ...(media.length > 1
+        ? [
+            createElement(
+              'slideshow-controls',
+              { ref: 'slideshowControls', 'pagination-position': 'center', 'scroll-mode': 'horizontal', thumbnails: true },
+              [
+                createElement(
+                  'scroll-hint',
+                  { ref: 'thumbnailsContainer', class: 'slideshow-controls__thumbnails-container' },
+                  [createElement('div', { class: 'slideshow-controls__thumbnails' }, thumbnails)]
+                ),
+              ]
+            ),
+          ]
+        : []),
+    ]
+  );
+}
+
+/**
+ * Creates the zoom dialog of the gallery, mirroring the markup of `product-media-gallery-content`.
+ * @param {string} id - The ID of the zoom dialog
+ * @param {ProductMedia[]} media - The product media
+ * @param {GalleryOptions} options - The labels and icons
+ * @returns {HTMLElement} The zoom dialog
+ */
+function createZoomDialog(id, media, options) {
+  const { labels, icons } = options;
+
+  const thumbnails =
+    media.length > 1
+      ? media.map((item, index) => {
+          const aspectRatio = item.preview_image?.aspect_ratio ?? 1;
+
+          return createElement(
+            'button',
+            {
+              type: 'button',
+              class: 'button button-unstyled dialog-thumbnails-list__thumbnail',
+              'aria-label': (labels.scrollToLabel ?? '').replace('[title]', item.alt || item.media_type),
+              'on:click': `/handleThumbnailClick/${index}`,
+              'on:pointerenter': `/handleThumbnailPointerEnter/${index}`,
+              style: `--aspect-ratio: ${aspectRatio}; --gallery-aspect-ratio: ${aspectRatio};`,
+              'aria-selected': index === 0 ? 'true' : undefined,
+            },
+            [
+              createImage(item.preview_image?.src, {
+                alt: item.alt,
+                widths: [240, 352, 832, 1200],
+                sizes: 'auto, 110, (min-width: 750px) 160',
+              }),
+            ]
+          );
+        })
+      : [];
+
+  const items = media.map((item) => {
+    const isImage = item.media_type === 'image';
+    const productMedia = createProductMedia(item, '100vw', options);
+
+    return createElement(
+      'li',
+      {
+        id: `${id}-${item.id}`,
+        class: `product-media-container media-fit-contain product-media-container--${item.media_type}${
+          isImage ? ' product-media-container--zoomable' : ''
+        }`,
+        style: `--media-preview-ratio: ${item.preview_image?.aspect_ratio ?? 1};`,
+        ref: 'media[]',
+        'on:click': isImage ? '/close' : undefined,
+      },
+      [isImage ? createElement('drag-zoom-wrapper', { class: 'product-media__drag-zoom-wrapper' }, [productMedia]) : productMedia]
+    );
+  });
+
+  return createElement('zoom-dialog', { id }, [
+    createElement(
+      'dialog',
+      { class: 'dialog-zoomed-gallery__dialog', ref: 'dialog', 'on:keydown': '/handleKeyDown', 'scroll-lock': true },
+      [
+        createElement(
+          'button',
+          {
+            type: 'button',
+            class: 'button button-unstyled close-button dialog-zoomed-gallery__close-button',
+            'aria-label': labels.closeLabel,
+            'on:click': '/close',
+          },
+          [createElement('span', { class: 'visually-hidden' }, [labels.closeLabel ?? '']), cloneIcon(icons.close)]
+        ),
+        createElement('div', { class: 'dialog-thumbnails-list-container' }, [
+          createElement('scroll-hint', { class: 'dialog-thumbnails-list list-unstyled', ref: 'thumbnails' }, thumbnails),
+        ]),
+        createElement('ul', { class: 'dialog-zoomed-gallery list-unstyled' }, items),
+      ]
+    ),
+  ]);
+}
+
+/**
+ * Creates a media element, mirroring the markup of the `product-media` snippet.
+ * Videos and 3D models are deferred until their poster is clicked.
+ * @param {ProductMedia} media - The media
+ * @param {string} sizes - The image sizes
+ * @param {GalleryOptions} options - The labels and icons
+ * @returns {HTMLElement} The media element
+ */
+function createProductMedia(media, sizes, { labels, icons }) {
+  const previewSrc = media.preview_image?.src;
+  const image = createImage(previewSrc, { alt: media.alt, sizes, className: 'product-media__image' });
+  if (previewSrc) image.setAttribute('data_max_resolution', imageUrl(previewSrc, 3840));
+
+  const element = createElement(
+    'div',
+    { class: 'product-media', style: `--ratio: ${media.aspect_ratio}`, 'data-media-id': `${media.id}` },
+    [image]
+  );
+
+  const isModel = media.media_type === 'model';
+  const content = isModel ? createModelViewer(media) : media.media_type === 'image' ? null : createVideo(media);
+
+  if (!content) return element;
+
+  const template = document.createElement('template');
+  template.content.append(content);
+
+  const label = (isModel ? labels.playModelLabel : labels.playVideoLabel) ?? '';
+  const posterButton = createElement(
+    'button',
+    {
+      type: 'button',
+      class: 'button deferred-media__poster-button button-unstyled',
+      ref: 'deferredMediaPlayButton',
+      'aria-label': label,
+      'on:click': '/showDeferredMedia',
+    },
+    [
+      createImage(previewSrc, { alt: media.alt, sizes, className: 'deferred-media__poster-image' }),
+      createElement('span', { class: `deferred-media__poster-icon${isModel ? '' : ' icon-play'}` }, [
+        createElement('span', { class: 'visually-hidden' }, [label]),
+        cloneIcon(isModel ? icons.model : icons.play),
+      ]),
+    ]
+  );
+
+  element.append(
+    createElement(isModel ? 'product-model' : 'deferred-media', { 'data-media-id': `${media.id}` }, [
+      posterButton,
+      template,
+    ])
+  );
+
+  return element;
+}
+
+/**
+ * Creates the video player for a video or external video.
+ * @param {ProductMedia} media - The media
+ * @returns {HTMLElement} The video or iframe
+ */
+function createVideo(media) {
+  if (media.media_type === 'external_video') {
+    const src =
+      media.host === 'youtube'
+        ? `https://www.youtube.com/embed/${media.external_id}?autoplay=1&enablejsapi=1`
+        : `https://player.vimeo.com/video/${media.external_id}?autoplay=1&api=1`;
+
+    return createElement('iframe', {
+      src,
+      allow: 'autoplay; encrypted-media',
+      allowfullscreen: true,
+      title: media.alt ?? '',
+      'data-video-type': media.host,
+    });
+  }
+
+  return createElement(
+    'video',
+    { playsinline: true, controls: true, autoplay: true, poster: media.preview_image?.src },
+    (media.sources ?? []).map((source) => createElement('source', { src: source.url, type: source.mime_type }))
+  );
+}
+
+/**
+ * Creates the model viewer for a 3D model.
+ * @param {ProductMedia} media - The media
+ * @returns {HTMLElement | null} The model viewer, or null if the model has no GLB source
+ */
+function createModelViewer(media) {
+  const glb = media.sources?.find((source) => source.format === 'glb');
+  const usdz = media.sources?.find((source) => source.format === 'usdz');
+
+  if (!glb) return null;
+
+  return createElement('model-viewer', {
+    src: glb.url,
+    'ios-src': usdz?.url,
+    poster: media.preview_image?.src,
+    alt: media.alt ?? '',
+    'camera-controls': true,
+    'data-shopify-feature': '1.12',
+  });
+}
+
+/**
+ * Creates the play or 3D model badge of a slideshow thumbnail.
+ * @param {ProductMedia} media - The media
+ * @param {GalleryOptions} options - The labels and icons
+ * @returns {HTMLElement[]} The badge, if the media isn't an image
+ */
+function createThumbnailBadge(media, { icons }) {
+  if (media.media_type === 'image') return [];
+
+  const icon = media.media_type === 'model' ? icons.model : icons.play;
+
+  return [createElement('span', { class: 'slideshow-controls__thumbnail-badge' }, [cloneIcon(icon)])];
+}
+
+/**
+ * Creates a responsive image from a Shopify CDN image URL.
+ * @param {string | undefined} src - The image URL
+ * @param {Object} options - The image options
+ * @param {string | null} [options.alt] - The alt text
+ * @param {string} [options.sizes] - The sizes attribute
+ * @param {number[]} [options.widths] - The srcset widths
+ * @param {string} [options.className] - The class name
+ * @returns {HTMLImageElement} The image
+ */
+function createImage(src, { alt, sizes, widths = IMAGE_WIDTHS, className }) {
+  const image = document.createElement('img');
+
+  image.alt = alt ?? '';
+  image.loading = 'lazy';
+  if (className) image.className = className;
+  if (!src) return image;
+
+  image.src = imageUrl(src, widths[widths.length - 1] ?? 1200);
+  image.srcset = widths.map((width) => `${imageUrl(src, width)} ${width}w`).join(', ');
+  if (sizes) image.sizes = sizes;
+
+  return image;
+}
+
+/**
+ * Gets the URL of a Shopify CDN image at a given width.
+ * @param {string} src - The image URL
+ * @param {number} width - The width
+ * @returns {string} The image URL
+ */
+function imageUrl(src, width) {
+  const url = new URL(src, window.location.origin);
+  url.searchParams.set('width', `${width}`);
+
+  return url.toString();
+}
+
+/**
+ * Clones the content of an icon template.
+ * @param {HTMLTemplateElement | undefined} template - The icon template
+ * @returns {Node | string} The icon
+ */
+function cloneIcon(template) {
+  return template?.content.cloneNode(true) ?? '';
+}
+
+/**
+ * Creates an element with attributes and children.
+ * @param {string} tagName - The tag name
+ * @param {Record<string, string | boolean | undefined>} [attributes] - The attributes, `false` and `undefined` values are skipped
+ * @param {(Node | string)[]} [children] - The children
+ * @returns {HTMLElement} The element
+ */
+function createElement(tagName, attributes = {}, children = []) {
+  const element = document.createElement(tagName);
+
+  for (const [name, value] of Object.entries(attributes)) {
+    if (value === false || value === undefined) continue;
+    element.setAttribute(name, value === true ? '' : value);
   }
-})();
+
+  element.append(...children);
+
+  return element;
+}
@@ -19,10 +19,12 @@ export class QuickAddComponent extends Component {
       this.closest('product-hotspot-component')
     );
     const productLink = productCard?.getProductCardLink() || hotspotProduct?.getHotspotProductLink();
+    // Quick adds outside of product cards, like the cart drawer upsells, link to the product themselves
+    const href = productLink?.href || this.dataset.productUrl;
 
-    if (!productLink?.href) return '';
+    if (!href) return '';
 
-    const url = new URL(productLink.href);
+    const url = new URL(href, window.location.origin);
 
     if (url.searchParams.has('variant')) {
       return url.toString();
@@ -114,9 +116,26 @@ export class QuickAddComponent extends Component {
       this.#updateVariantPicker(productGrid);
     }
 
+    this.#setReplacedLine();
     this.#openQuickAddModal();
   };
 
+  /**
+   * Makes the modal form replace the cart line this quick add edits, instead of adding to the cart.
+   */
+  #setReplacedLine() {
+    const productForm = document.querySelector('#quick-add-modal-content product-form-component');
+    if (!(productForm instanceof HTMLElement)) return;
+
+    const { cartLineKey } = this.dataset;
+
+    if (cartLineKey) {
+      productForm.dataset.replaceLineKey = cartLineKey;
+    } else {
+      delete productForm.dataset.replaceLineKey;
+    }
+  }
+
   #resetScroll() {
     const dialogComponent = document.getElementById('quick-add-dialog');
     if (!(dialogComponent instanceof QuickAddDialog)) return;
@@ -1,7 +1,9 @@
 import { Component } from '@theme/component';
-import { CartAddEvent, QuantitySelectorUpdateEvent, ThemeEvents } from '@theme/events';
-import { debounce, fetchConfig, resetShimmer } from '@theme/utilities';
+import { NotificationEvent, QuantitySelectorUpdateEvent, ThemeEvents } from '@theme/events';
+import { debounce, resetShimmer } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
+import { cartStore, CartError } from '@theme/cart';
+import { OrderRuleError, validateCartUpdates } from '@theme/order-rules';
 
 /**
  * A custom element that manages the quick order list section.
@@ -10,24 +12,12 @@ import { morphSection, sectionRenderer } from '@theme/section-renderer';
  * @property {HTMLTableRowElement[]} variantRows - The variant row elements
  * @property {HTMLElement} confirmationPanel - The remove all confirmation dialog
  * @property {HTMLElement} totalInfo - The total info section element
- * @property {HTMLElement} errorContainer - The error message container
- * @property {HTMLElement} errorText - The error message text element
- * @property {HTMLElement} successContainer - The success message container
- * @property {HTMLElement} successText - The success message text element
  * @property {HTMLElement} [paginationNav] - The pagination navigation element
  *
  * @extends Component<QuickOrderListComponentRefs>
  */
 class QuickOrderListComponent extends Component {
-  requiredRefs = [
-    'variantRows',
-    'confirmationPanel',
-    'totalInfo',
-    'errorContainer',
-    'errorText',
-    'successContainer',
-    'successText',
-  ];
+  requiredRefs = ['variantRows', 'confirmationPanel', 'totalInfo'];
 
   /** @type {AbortController|null} */
   #abortController = null;
@@ -202,13 +192,8 @@ class QuickOrderListComponent extends Component {
     event.preventDefault();
     const idsToRemove = this.cartVariantIds;
 
-    this.#clearSuccessMessage();
-    this.#clearErrorMessage();
     this.#applyShimmerEffects(idsToRemove);
 
-    this.#abortController?.abort();
-    this.#abortController = new AbortController();
-
     try {
       /** @type {Record<string, number>} */
       const updates = {};
@@ -224,44 +209,27 @@ class QuickOrderListComponent extends Component {
         return;
       }
 
-      const sectionIds = this.#getSectionIds();
-      const sectionsUrl = new URL(window.location.pathname, window.location.origin);
-      sectionsUrl.searchParams.set('page', this.currentPage.toString());
-
-      const body = JSON.stringify({
-        updates: updates,
-        sections: sectionIds.join(','),
-        sections_url: sectionsUrl.pathname + sectionsUrl.search,
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...fetchConfig('json', { body }),
-        signal: this.#abortController.signal,
-      });
-
-      const responseText = await response.text();
-      const data = JSON.parse(responseText);
+      const { sections } = await cartStore.update(
+        { updates },
+        {
+          target: this,
+          sourceId: this.id,
+          source: 'quick-order-remove-all',
+          sections: this.#getSectionIds(),
+          sectionsUrl: this.#sectionsUrl,
+        }
+      );
 
       resetShimmer(this);
 
-      if (data.errors) {
-        this.#showErrorMessage(data.errors);
-      } else {
-        this.#updateSectionHTML(data);
-        this.#toggleConfirmationPanel(false);
-
-        document.dispatchEvent(
-          new CartAddEvent(data, this.id, {
-            source: 'quick-order-remove-all',
-            sections: data.sections,
-          })
-        );
-      }
+      this.#updateSectionHTML({ sections });
+      this.#toggleConfirmationPanel(false);
     } catch (error) {
-      if (error.name !== 'AbortError') {
-        resetShimmer(this);
-        throw error;
-      }
+      resetShimmer(this);
+
+      if (!(error instanceof CartError)) throw error;
+
+      this.dispatchEvent(new NotificationEvent(error.description ?? error.message, { type: 'error' }));
     }
   }
 
@@ -291,9 +259,6 @@ class QuickOrderListComponent extends Component {
     const quantityInput = /** @type {HTMLInputElement|null} */ (variantRow.querySelector('input[data-cart-quantity]'));
     const currentCartQuantity = quantityInput ? parseInt(quantityInput.dataset.cartQuantity || '0') || 0 : 0;
 
-    this.#clearSuccessMessage();
-    this.#clearErrorMessage();
-
     if (currentCartQuantity === quantity) {
       return;
     }
@@ -301,76 +266,75 @@ class QuickOrderListComponent extends Component {
     this.#applyShimmerEffects([variantId]);
 
     this.#disableQuickOrderListItems();
-    this.#abortController?.abort();
-    this.#abortController = new AbortController();
 
     try {
       /** @type {Record<string, number>} */
-      const updates = {};
-      updates[variantId] = quantity;
-
-      // Include page parameter in sections URL to maintain pagination state
-      const sectionsUrl = new URL(window.location.pathname, window.location.origin);
-      sectionsUrl.searchParams.set('page', this.currentPage.toString());
+      const updates = { [variantId]: quantity };
 
-      const body = JSON.stringify({
-        updates: updates,
-        sections: this.#getSectionIds().join(','),
-        sections_url: sectionsUrl.pathname + sectionsUrl.search,
+      // Bulk quantities follow the order rules too, e.g. case packs, before they reach the cart
+      const violations = await validateCartUpdates(await cartStore.get(), updates, {
+        handle: this.dataset.productHandle ?? '',
+        title: this.dataset.productTitle ?? '',
       });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...fetchConfig('json', { body }),
-        signal: this.#abortController.signal,
-      });
-
-      const responseText = await response.text();
-      const data = JSON.parse(responseText);
+      if (violations.length > 0) throw new OrderRuleError(violations);
+
+      const { sections } = await cartStore.update(
+        { updates },
+        {
+          target: this,
+          sourceId: this.id,
+          source: 'quick-order-quantity',
+          sections: this.#getSectionIds(),
+          sectionsUrl: this.#sectionsUrl,
+          eventData: { variantId },
+        }
+      );
 
       resetShimmer(this);
+      this.#updateSectionHTML({ sections });
 
-      if (data.errors) {
-        this.#showErrorMessage(data.errors);
-        if (this.dataset.sectionId) {
-          const url = new URL(window.location.href);
-          url.searchParams.set('page', this.currentPage.toString());
-          await sectionRenderer.renderSection(this.dataset.sectionId, { cache: false, url });
-        }
-      } else {
-        this.#updateSectionHTML(data);
+      const quantityAdded = quantity - currentCartQuantity;
+      if (quantityAdded > 0) {
+        const oneItemText = Theme?.translations?.items_added_to_cart_one || '1 item added to cart';
+        const itemsText = Theme?.translations?.items_added_to_cart_other || '{{ count }} items added to cart';
 
-        const quantityAdded = quantity - currentCartQuantity;
-        if (quantityAdded > 0) {
-          this.#showSuccessMessage(quantityAdded);
-        }
+        const message = quantityAdded === 1 ? oneItemText : itemsText.replace('{{ count }}', quantityAdded.toString());
 
-        document.dispatchEvent(
-          new CartAddEvent(data, this.id, {
-            source: 'quick-order-quantity',
-            variantId: variantId,
-            sections: data.sections,
-          })
-        );
+        this.dispatchEvent(new NotificationEvent(message, { type: 'success' }));
       }
     } catch (error) {
-      if (error.name !== 'AbortError') {
-        this.#enableQuickOrderListItems();
-        resetShimmer(this);
-        throw error;
+      this.#enableQuickOrderListItems();
+      resetShimmer(this);
+
+      if (!(error instanceof CartError)) throw error;
+
+      this.dispatchEvent(new NotificationEvent(error.description ?? error.message, { type: 'error' }));
+      if (this.dataset.sectionId) {
+        const url = new URL(window.location.href);
+        url.searchParams.set('page', this.currentPage.toString());
+        await sectionRenderer.renderSection(this.dataset.sectionId, { cache: false, url });
       }
     }
   }
 
+  /**
+   * Gets the page to render the sections for, keeping the pagination state.
+   * @returns {string} The path and query of the page
+   */
+  get #sectionsUrl() {
+    const sectionsUrl = new URL(window.location.pathname, window.location.origin);
+    sectionsUrl.searchParams.set('page', this.currentPage.toString());
+
+    return sectionsUrl.pathname + sectionsUrl.search;
+  }
+
   /**
    * Handles cart update events from other components
    * @param {CustomEvent} event - The cart update event
    */
   async #handleCartUpdate(event) {
     // Don't process our own events to avoid double updates
-    // Check if this event came from our own quantity update
-    if (event.detail?.source === 'quick-order-quantity' && event.detail?.sourceId === this.id) {
-      return;
-    }
+    if (event.target === this) return;
 
     this.#enableQuickOrderListItems();
     this.#abortController?.abort();
@@ -429,42 +393,6 @@ class QuickOrderListComponent extends Component {
     this.refs.totalInfo.classList.toggle('confirmation-visible', show);
   }
 
-  /**
-   * Shows an error message in the error container
-   * @param {string} message - The error message to display
-   */
-  #showErrorMessage(message) {
-    this.refs.errorText.textContent = message;
-    this.refs.errorContainer.classList.remove('hidden');
-  }
-
-  /**
-   * Hides the error messages
-   */
-  #clearErrorMessage() {
-    this.refs.errorContainer.classList.add('hidden');
-  }
-
-  /**
-   * Shows success message in the success container
-   * @param {number} quantityAdded - The number of items added
-   */
-  #showSuccessMessage(quantityAdded) {
-    this.#clearErrorMessage();
-
-    const oneItemText = Theme?.translations?.items_added_to_cart_one || '1 item added to cart';
-    const itemsText = Theme?.translations?.items_added_to_cart_other || '{{ count }} items added to cart';
-
-    const message = quantityAdded === 1 ? oneItemText : itemsText.replace('{{ count }}', quantityAdded.toString());
-
-    this.refs.successText.textContent = message;
-    this.refs.successContainer.classList.remove('hidden');
-  }
-
-  #clearSuccessMessage() {
-    this.refs.successContainer.classList.add('hidden');
-  }
-
   /**
    * Applies shimmer effects to price elements
    * @param {Array<string|number>} variantIds - Array of variant IDs to apply shimmer to
@@ -0,0 +1,297 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { cartStore, CartError, getCartSectionIds } from '@theme/cart';
+import { productCache } from '@theme/product-cache';
+import { formatMoney } from '@theme/money-formatting';
+
+/**
+ * The local storage key of the saved items.
+ */
+const STORAGE_KEY = 'theme:saved-for-later';
+
+/**
+ * @typedef {Object} SavedItem
+ * @property {string} id - The id of the saved item
+ * @property {string} handle - The product handle
+ * @property {string} title - The product title, shown if the product no longer exists
+ * @property {number} variantId - The variant
+ * @property {number} quantity - The quantity
+ * @property {Record<string, string>} properties - The line item properties
+ * @property {number | null} sellingPlanId - The selling plan, if any
+ */
+
+/**
+ * The items saved for later, kept in local storage so they outlive the cart.
+ */
+class SavedForLater {
+  /**
+   * Gets the saved items, the latest first.
+   * @returns {SavedItem[]} The saved items
+   */
+  get items() {
+    try {
+      const items = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]');
+      return Array.isArray(items) ? items : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Saves an item. Saving the same variant with the same properties again adds up the quantities.
+   * @param {Omit<SavedItem, 'id'>} item - The item
+   */
+  add(item) {
+    const existingItem = this.items.find(
+      (savedItem) =>
+        savedItem.variantId === item.variantId &&
+        savedItem.sellingPlanId === item.sellingPlanId &&
+        JSON.stringify(savedItem.properties) === JSON.stringify(item.properties)
+    );
+
+    // The id is used as the data of the declarative event handlers, so it's kept to letters and digits
+    const id = existingItem?.id ?? `saved${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    const quantity = item.quantity + (existingItem?.quantity ?? 0);
+
+    this.#save([{ ...item, id, quantity }, ...this.items.filter((savedItem) => savedItem.id !== id)]);
+  }
+
+  /**
+   * Removes an item.
+   * @param {string} id - The id of the saved item
+   */
+  remove(id) {
+    this.#save(this.items.filter((item) => item.id !== id));
+  }
+
+  /**
+   * Stores the saved items and renders the lists of the page.
+   * @param {SavedItem[]} items - The saved items
+   */
+  #save(items) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+    } catch (_) {
+      // Storage is unavailable, e.g. in private browsing on some browsers
+    }
+
+    renderLists();
+  }
+}
+
+export const savedForLater = new SavedForLater();
+
+/** @type {Set<SavedForLaterComponent>} */
+const lists = new Set();
+
+/**
+ * A custom element that lists the items saved for later, with actions to move them to the cart or remove them.
+ * The availability of the saved variants is refreshed from the product JSON.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} list - The list of saved items.
+ * @property {HTMLElement} count - The number of saved items.
+ * @property {HTMLTemplateElement} itemTemplate - The template of a saved item.
+ *
+ * @extends {Component<Refs>}
+ */
+class SavedForLaterComponent extends Component {
+  requiredRefs = ['list', 'count', 'itemTemplate'];
+
+  /**
+   * Incremented on each render, so a slower render doesn't overwrite a later one
+   */
+  #renderId = 0;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    lists.add(this);
+    document.addEventListener(ThemeEvents.cartUpdate, this.render);
+    this.render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    lists.delete(this);
+    document.removeEventListener(ThemeEvents.cartUpdate, this.render);
+  }
+
+  /**
+   * Renders the saved items, once their products are loaded.
+   */
+  render = async () => {
+    const renderId = ++this.#renderId;
+    const { items } = savedForLater;
+
+    const products = await Promise.all(items.map((item) => productCache.get(item.handle).catch(() => null)));
+    if (renderId !== this.#renderId) return;
+
+    this.hidden = items.length === 0;
+    this.refs.count.textContent = items.length.toString();
+    this.refs.list.replaceChildren(...items.map((item, index) => this.#renderItem(item, products[index])));
+  };
+
+  /**
+   * Adds a saved item to the cart, and removes it from the saved items.
+   * @param {string} id - The id of the saved item
+   */
+  async moveToCart(id) {
+    const item = savedForLater.items.find((savedItem) => savedItem.id === id);
+    const element = this.#getItemElement(id);
+    if (!item || !element) return;
+
+    const button = element.querySelector('[data-move-to-cart]');
+    if (button instanceof HTMLButtonElement) button.disabled = true;
+
+    /** @type {import('./cart').CartRequestOptions} */
+    const options = {
+      sections: getCartSectionIds(),
+      source: 'saved-for-later',
+      sourceId: this.id,
+      silent: true,
+    };
+
+    try {
+      const response = await cartStore.add(
+        {
+          items: [
+            {
+              id: item.variantId,
+              quantity: item.quantity,
+              properties: item.properties,
+              ...(item.sellingPlanId ? { selling_plan: item.sellingPlanId } : {}),
+            },
+          ],
+        },
+        options
+      );
+
+      savedForLater.remove(id);
+      cartStore.notify('update', response, { ...options, silent: false });
+    } catch (error) {
+      if (button instanceof HTMLButtonElement) button.disabled = false;
+
+      const errorElement = element.querySelector('[data-error]');
+      if (error instanceof CartError && errorElement instanceof HTMLElement) {
+        errorElement.textContent = error.message;
+        errorElement.hidden = false;
+      } else {
+        console.error(error);
+      }
+    }
+  }
+
+  /**
+   * Removes a saved item.
+   * @param {string} id - The id of the saved item
+   */
+  removeItem(id) {
+    savedForLater.remove(id);
+  }
+
+  /**
+   * Renders a saved item from the item template.
+   * @param {SavedItem} item - The saved item
+   * @param {any} product - The product JSON, or null if the product no longer exists
+   * @returns {Node} The saved item element
+   */
+  #renderItem(item, product) {
+    const fragment = /** @type {DocumentFragment} */ (this.refs.itemTemplate.content.cloneNode(true));
+    const element = fragment.firstElementChild;
+    if (!(element instanceof HTMLElement)) return fragment;
+
+    const variant = product?.variants.find((/** @type {{ id: number }} */ { id }) => id === item.variantId);
+    const image = variant?.featured_image?.src ?? product?.featured_image;
+    const url = product ? `${product.url}?variant=${item.variantId}` : '';
+
+    element.dataset.id = item.id;
+    setText(element, '[data-title]', product?.title ?? item.title);
+    setText(element, '[data-variant-title]', variant?.public_title ?? '');
+    setText(element, '[data-quantity]', `× ${item.quantity}`);
+
+    const { moneyFormat = '{{amount}}', currency = '' } = this.dataset;
+    setText(element, '[data-price]', variant ? formatMoney(variant.price * item.quantity, moneyFormat, currency) : '');
+
+    for (const link of element.querySelectorAll('a')) {
+      if (url) link.href = url;
+    }
+
+    const imageElement = element.querySelector('img');
+    if (imageElement) {
+      if (image) {
+        imageElement.src = imageUrl(image, 160);
+        imageElement.alt = product.title;
+      } else {
+        imageElement.remove();
+      }
+    }
+
+    // Variants that no longer exist or went out of stock are flagged, and can't be moved to the cart
+    const status = !variant ? 'unavailable' : !variant.available ? 'sold-out' : null;
+    element.querySelectorAll('[data-status]').forEach((statusElement) => {
+      if (statusElement instanceof HTMLElement) statusElement.hidden = statusElement.dataset.status !== status;
+    });
+
+    const moveButton = element.querySelector('[data-move-to-cart]');
+    if (moveButton instanceof HTMLButtonElement) {
+      moveButton.disabled = status !== null;
+      moveButton.setAttribute('on:click', `/moveToCart/${item.id}`);
+    }
+    element.querySelector('[data-remove]')?.setAttribute('on:click', `/removeItem/${item.id}`);
+
+    return fragment;
+  }
+
+  /**
+   * Gets the element of a saved item.
+   * @param {string} id - The id of the saved item
+   * @returns {HTMLElement | undefined} The element
+   */
+  #getItemElement(id) {
+    for (const element of this.refs.list.children) {
+      if (element instanceof HTMLElement && element.dataset.id === id) return element;
+    }
+  }
+}
+
+/**
+ * Renders every list of the page.
+ */
+function renderLists() {
+  lists.forEach((list) => list.render());
+}
+
+/**
+ * Sets the text of the element matching a selector.
+ * @param {Element} element - The element to search in
+ * @param {string} selector - The selector
+ * @param {string} text - The text
+ */
+function setText(element, selector, text) {
+  const target = element.querySelector(selector);
+  if (target) target.textContent = text;
+}
+
+/**
+ * Gets the URL of an image at a width.
+ * @param {string} src - The image URL
+ * @param {number} width - The width
+ * @returns {string} The URL
+ */
+function imageUrl(src, width) {
+  const url = new URL(src, window.location.origin);
+  url.searchParams.set('width', `${width}`);
+
+  return url.toString();
+}
+
+// Keeps the lists in sync with the items saved in other tabs
+window.addEventListener('storage', (event) => {
+  if (event.key === STORAGE_KEY) renderLists();
+});
+
+if (!customElements.get('saved-for-later-component')) {
+  customElements.define('saved-for-later-component', SavedForLaterComponent);
+}
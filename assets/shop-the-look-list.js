@@ -0,0 +1,190 @@
+import PaginatedList from '@theme/paginated-list';
+import { productCache } from '@theme/product-cache';
+import { requestIdleCallback, startViewTransition } from '@theme/utilities';
+
+/**
+ * The view transition type animating the cells when the layout changes.
+ */
+const VIEW_TRANSITION_TYPE = 'stl-grid';
+
+/**
+ * The session storage key of the layout picked by the customer.
+ */
+const LAYOUT_STORAGE_KEY = 'stl-grid-layout';
+
+/**
+ * A custom element that renders the paginated cells of the Shop the Look grid.
+ *
+ * Pages are appended on scroll when the list has `viewMoreNext` and `viewMorePrevious` refs,
+ * or with the "Load more" and "Previous" buttons.
+ *
+ * The products of the cells are prefetched for the quick-view popup as the cells come into view.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLUListElement} [grid] - The grid element.
+ * @property {HTMLButtonElement} [loadMoreButton] - The button loading the next page.
+ * @property {HTMLButtonElement} [loadPreviousButton] - The button loading the previous page.
+ * @property {HTMLInputElement[]} [layoutOptions] - The layout radio buttons.
+ *
+ * @extends PaginatedList
+ */
+class ShopTheLookList extends PaginatedList {
+  /**
+   * Prefetches the products of the cells coming into view.
+   */
+  #prefetchObserver = new IntersectionObserver(
+    (entries, observer) => {
+      for (const entry of entries) {
+        if (!entry.isIntersecting || !(entry.target instanceof HTMLElement)) continue;
+
+        const { productHandle } = entry.target.dataset;
+        observer.unobserve(entry.target);
+
+        if (productHandle) requestIdleCallback(() => productCache.prefetch(productHandle));
+      }
+    },
+    { rootMargin: '200px' }
+  );
+
+  /**
+   * Observes the cells added by the pagination.
+   */
+  #gridObserver = new MutationObserver(() => this.#observeCards());
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#observeCards();
+    if (this.#refs.grid) this.#gridObserver.observe(this.#refs.grid, { childList: true });
+
+    const layout = sessionStorage.getItem(LAYOUT_STORAGE_KEY);
+    const option = this.#refs.layoutOptions?.find((option) => option.value === layout);
+
+    if (layout && option) {
+      option.checked = true;
+      this.#setLayout(layout);
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#prefetchObserver.disconnect();
+    this.#gridObserver.disconnect();
+  }
+
+  /**
+   * Appends the next page of products.
+   */
+  async loadMore() {
+    await this.#load(this.#refs.loadMoreButton, () => this.loadNextPage());
+  }
+
+  /**
+   * Prepends the previous page of products.
+   */
+  async loadPrevious() {
+    await this.#load(this.#refs.loadPreviousButton, () => this.loadPreviousPage());
+  }
+
+  /**
+   * Updates the layout.
+   *
+   * @param {Event} event
+   */
+  updateLayout({ target }) {
+    if (!(target instanceof HTMLInputElement)) return;
+
+    this.#animateLayoutChange(target.value);
+  }
+
+  /**
+   * Loads a page from one of the buttons, then moves the focus to the first loaded cell.
+   *
+   * @param {HTMLButtonElement | undefined} button - The button
+   * @param {() => Promise<void>} loadPage - Loads the page
+   */
+  async #load(button, loadPage) {
+    if (!button || button.getAttribute('aria-busy') === 'true') return;
+
+    const cardsBefore = this.#cards;
+    button.setAttribute('aria-busy', 'true');
+
+    try {
+      await loadPage();
+    } finally {
+      button.removeAttribute('aria-busy');
+    }
+
+    const firstNewCard = this.#cards.find((card) => !cardsBefore.includes(card));
+    this.#updateButtons();
+    firstNewCard?.querySelector('button')?.focus();
+  }
+
+  /**
+   * Starts prefetching the products of the cells once they come into view.
+   */
+  #observeCards() {
+    for (const card of this.#cards) {
+      if (card.dataset.productHandle) this.#prefetchObserver.observe(card);
+    }
+  }
+
+  /**
+   * Hides the buttons once the first or last page is loaded.
+   */
+  #updateButtons() {
+    const { grid, loadMoreButton, loadPreviousButton } = this.#refs;
+    const cards = this.#cards;
+    const lastPage = Number(grid?.dataset.lastPage);
+
+    if (loadMoreButton) loadMoreButton.hidden = Number(cards[cards.length - 1]?.dataset.page) >= lastPage;
+    if (loadPreviousButton) loadPreviousButton.hidden = Number(cards[0]?.dataset.page) <= 1;
+  }
+
+  /**
+   * Animates the layout change.
+   *
+   * @param {string} value
+   */
+  #animateLayoutChange = async (value) => {
+    if (!this.#refs.grid) return;
+
+    await startViewTransition(() => this.#setLayout(value), [VIEW_TRANSITION_TYPE]);
+
+    requestIdleCallback(() => {
+      sessionStorage.setItem(LAYOUT_STORAGE_KEY, value);
+    });
+  };
+
+  /**
+   * Sets the layout.
+   *
+   * @param {string} value
+   */
+  #setLayout(value) {
+    const { grid } = this.#refs;
+    if (!grid) return;
+    grid.dataset.layout = value;
+  }
+
+  /**
+   * Gets the cells in the grid. Read from the DOM, as the refs update after the appended cells.
+   * @returns {HTMLElement[]} The cells
+   */
+  get #cards() {
+    return Array.from(this.#refs.grid?.querySelectorAll(':scope > [ref="cards[]"]') ?? []);
+  }
+
+  /**
+   * Gets the refs.
+   * @returns {Refs} The refs
+   */
+  get #refs() {
+    return /** @type {Refs} */ (/** @type {unknown} */ (this.refs));
+  }
+}
+
+if (!customElements.get('shop-the-look-list')) {
+  customElements.define('shop-the-look-list', ShopTheLookList);
+}
@@ -0,0 +1,305 @@
+import { Component } from '@theme/component';
+import { CartAddEvent, ThemeEvents } from '@theme/events';
+import { SYNC_SOURCE } from '@theme/cart';
+
+/**
+ * How long a message shows, in milliseconds.
+ */
+const DURATION = 5000;
+
+/**
+ * How long an error shows, in milliseconds. Errors usually need more reading.
+ */
+const ERROR_DURATION = 8000;
+
+/**
+ * The number of toasts shown at once, the next messages wait for one to be dismissed.
+ */
+const MAX_VISIBLE = 3;
+
+/**
+ * @typedef {Object} Toast
+ * @property {string} message - The message
+ * @property {'info' | 'success' | 'error'} type - The type of message
+ * @property {import('./events').NotificationAction} [action] - The action button of the toast, if any
+ * @property {number} remaining - How long the toast still shows, in milliseconds
+ * @property {HTMLElement} [element] - The toast, once it's shown
+ * @property {number} [startedAt] - When the timer of the toast last started, in milliseconds since the epoch
+ * @property {number} [timeout] - The timer dismissing the toast
+ */
+
+/**
+ * A custom element that shows the notifications of the page as toasts: cart errors, cart adds, discount code changes,
+ * and the messages of `NotificationEvent`.
+ *
+ * Toasts stack up to a limit, the next messages are queued. Each toast dismisses itself after a while, and the timers
+ * pause while the toasts are hovered or focused. Messages are announced through a single live region. A toast can
+ * have an action button, e.g. to undo a cart line removal.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} announcer - The live region announcing the messages.
+ * @property {HTMLOListElement} list - The toasts, a manual popover so they show above open dialogs.
+ * @property {HTMLTemplateElement} template - The template of a toast.
+ *
+ * @extends {Component<Refs>}
+ */
+class ToastRegion extends Component {
+  requiredRefs = ['announcer', 'list', 'template'];
+
+  /**
+   * The messages waiting to be shown
+   * @type {Toast[]}
+   */
+  #queue = [];
+
+  /**
+   * The toasts shown, the oldest first
+   * @type {Toast[]}
+   */
+  #visible = [];
+
+  #paused = false;
+
+  #open = false;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { list } = this.refs;
+
+    document.addEventListener(ThemeEvents.cartError, this.#handleCartError);
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.addEventListener(ThemeEvents.discountUpdate, this.#handleDiscountUpdate);
+    document.addEventListener(ThemeEvents.notification, this.#handleNotification);
+    list.addEventListener('pointerenter', this.#pause);
+    list.addEventListener('pointerleave', this.#resume);
+    list.addEventListener('focusin', this.#pause);
+    list.addEventListener('focusout', this.#resume);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    const { list } = this.refs;
+
+    document.removeEventListener(ThemeEvents.cartError, this.#handleCartError);
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.removeEventListener(ThemeEvents.discountUpdate, this.#handleDiscountUpdate);
+    document.removeEventListener(ThemeEvents.notification, this.#handleNotification);
+    list.removeEventListener('pointerenter', this.#pause);
+    list.removeEventListener('pointerleave', this.#resume);
+    list.removeEventListener('focusin', this.#pause);
+    list.removeEventListener('focusout', this.#resume);
+
+    for (const toast of this.#visible) clearTimeout(toast.timeout);
+  }
+
+  /**
+   * Shows a message, or queues it while the maximum number of toasts is shown.
+   * Messages already shown or queued aren't repeated, unless they come with an action.
+   * @param {string} message - The message.
+   * @param {Toast['type']} [type] - The type of message.
+   * @param {number} [duration] - How long the message shows, in milliseconds.
+   * @param {Toast['action']} [action] - The action button of the toast.
+   */
+  notify(message, type = 'info', duration, action) {
+    if (!message) return;
+    if (!action && [...this.#visible, ...this.#queue].some((toast) => toast.message === message)) return;
+
+    const remaining = duration ?? (type === 'error' ? ERROR_DURATION : DURATION);
+
+    this.#queue.push({ message, type, action, remaining });
+    this.#showNext();
+  }
+
+  /**
+   * Runs the action of the toast of an action button, and dismisses the toast.
+   * @param {Event} event - The click event.
+   */
+  runAction(event) {
+    if (!(event.target instanceof Element)) return;
+
+    const element = event.target.closest('.toast');
+    this.#visible.find((toast) => toast.element === element)?.action?.callback();
+    this.dismiss(event);
+  }
+
+  /**
+   * Dismisses the toast of a close button.
+   * @param {Event} event - The click event.
+   */
+  dismiss(event) {
+    if (!(event.target instanceof Element)) return;
+
+    const element = event.target.closest('.toast');
+    const toast = this.#visible.find((toast) => toast.element === element);
+    if (!toast) return;
+
+    // The focus would be lost with the buttons, and the timers of the other toasts would stay paused
+    if (toast.element?.contains(document.activeElement)) {
+      /** @type {HTMLElement | null | undefined} */ (
+        this.#visible.find((other) => other !== toast)?.element?.querySelector('.toast__dismiss')
+      )?.focus();
+    }
+
+    this.#remove(toast);
+  }
+
+  /**
+   * Shows the queued messages while there's room for them.
+   */
+  #showNext() {
+    while (this.#visible.length < MAX_VISIBLE && this.#queue.length > 0) {
+      const toast = /** @type {Toast} */ (this.#queue.shift());
+      const element = this.refs.template.content.firstElementChild?.cloneNode(true);
+      if (!(element instanceof HTMLElement)) return;
+
+      element.dataset.type = toast.type;
+      const message = element.querySelector('[data-toast-message]');
+      if (message) message.textContent = toast.message;
+
+      const actionButton = element.querySelector('[data-toast-action]');
+      if (actionButton instanceof HTMLElement && toast.action) {
+        actionButton.textContent = toast.action.label;
+        actionButton.hidden = false;
+      }
+
+      toast.element = element;
+      this.refs.list.append(element);
+      this.#visible.push(toast);
+      this.#announce(toast.message);
+      if (!this.#paused) this.#startTimer(toast);
+    }
+
+    // The popover shows above the dialogs opened before it, e.g. the cart drawer opened by a cart add
+    if (this.#visible.length > 0 && !this.#open) {
+      this.refs.list.showPopover?.();
+      this.#open = true;
+    }
+  }
+
+  /**
+   * Removes a toast, and shows the next queued message.
+   * @param {Toast} toast - The toast.
+   */
+  #remove(toast) {
+    clearTimeout(toast.timeout);
+    toast.element?.remove();
+    this.#visible = this.#visible.filter((other) => other !== toast);
+
+    if (this.#visible.length === 0) {
+      this.#paused = false;
+      this.#hidePopover();
+    }
+
+    this.#showNext();
+  }
+
+  /**
+   * Starts the timer dismissing a toast, for the time it still shows.
+   * @param {Toast} toast - The toast.
+   */
+  #startTimer(toast) {
+    toast.startedAt = Date.now();
+    toast.timeout = setTimeout(() => this.#remove(toast), toast.remaining);
+  }
+
+  /**
+   * Pauses the timers of the toasts, while they're hovered or focused.
+   */
+  #pause = () => {
+    if (this.#paused) return;
+    this.#paused = true;
+
+    for (const toast of this.#visible) {
+      clearTimeout(toast.timeout);
+      toast.remaining -= Date.now() - (toast.startedAt ?? Date.now());
+    }
+  };
+
+  /**
+   * Resumes the timers of the toasts, once they're neither hovered nor focused.
+   * @param {Event} event - The pointer leave or focus out event.
+   */
+  #resume = (event) => {
+    const { list } = this.refs;
+    const focusTarget = event instanceof FocusEvent ? event.relatedTarget : null;
+
+    if (focusTarget instanceof Node && list.contains(focusTarget)) return;
+    if (event.type === 'focusout' ? list.matches(':hover') : list.contains(document.activeElement)) return;
+    if (!this.#paused) return;
+
+    this.#paused = false;
+    for (const toast of this.#visible) this.#startTimer(toast);
+  };
+
+  /**
+   * Announces a message. Each message is added to the live region, so messages shown together are all announced.
+   * @param {string} message - The message.
+   */
+  #announce(message) {
+    const announcement = document.createElement('p');
+    announcement.textContent = message;
+    this.refs.announcer.append(announcement);
+
+    setTimeout(() => announcement.remove(), DURATION);
+  }
+
+  /**
+   * Hides the toasts popover.
+   */
+  #hidePopover() {
+    if (!this.#open) return;
+
+    this.refs.list.hidePopover?.();
+    this.#open = false;
+  }
+
+  /**
+   * Shows the errors of the cart requests.
+   * @param {import('./events').CartErrorEvent} event - The cart error event.
+   */
+  #handleCartError = (event) => {
+    const { message, description } = event.detail.data;
+    const text = (typeof description === 'string' && description) || message || this.dataset.errorMessage;
+
+    this.notify(text ?? '', 'error');
+  };
+
+  /**
+   * Confirms the cart adds. Other cart updates show in the cart itself, and the ones made in other tabs aren't news.
+   * @param {import('./events').CartUpdateEvent | CartAddEvent} event - The cart update event.
+   */
+  #handleCartUpdate = (event) => {
+    const { data } = event.detail;
+    if (!(event instanceof CartAddEvent) || data.didError || data.source === SYNC_SOURCE) return;
+
+    this.notify(this.dataset.addedMessage ?? '', 'success');
+  };
+
+  /**
+   * Confirms the discount codes applied and removed.
+   * @param {import('./events').DiscountUpdateEvent} event - The discount update event.
+   */
+  #handleDiscountUpdate = (event) => {
+    const { appliedCodes = [], removedCodes = [] } = event.detail.data ?? {};
+    const { discountAppliedMessage = '', discountRemovedMessage = '' } = this.dataset;
+
+    for (const code of appliedCodes) this.notify(discountAppliedMessage.replace('[code]', code), 'success');
+    for (const code of removedCodes) this.notify(discountRemovedMessage.replace('[code]', code));
+  };
+
+  /**
+   * Shows the messages of the `NotificationEvent` dispatched by any component.
+   * @param {import('./events').NotificationEvent} event - The notification event.
+   */
+  #handleNotification = (event) => {
+    const { message, type, duration, action } = event.detail;
+
+    this.notify(message, type, duration, action);
+  };
+}
+
+if (!customElements.get('toast-region')) {
+  customElements.define('toast-region', ToastRegion);
+}